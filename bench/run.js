@@ -0,0 +1,59 @@
+/**
+ * Node.js Parser Benchmark
+ * Headless counterpart of bench/index.html, using the pure-JS XML backend.
+ *
+ * Usage: node bench/run.js [units] [iterations] [budgetMs]
+ * Exits non-zero when the median parseProject time exceeds the budget.
+ */
+
+import { parseProject, parseUnits } from '../js/parser.js';
+import { generateSyntheticEbp } from './synthetic-ebp.js';
+
+const [units = 200, iterations = 5, budget = 1500] = process.argv.slice(2).map(Number);
+
+/**
+ * Time an async function over several iterations
+ * @param {Function} fn - Function to time
+ * @param {number} runs - Number of iterations
+ * @returns {Promise<Object>} { min, median, max } in milliseconds
+ */
+async function time(fn, runs) {
+    const samples = [];
+
+    for (let i = 0; i < runs; i++) {
+        const start = performance.now();
+        await fn();
+        samples.push(performance.now() - start);
+    }
+
+    samples.sort((a, b) => a - b);
+    return {
+        min: samples[0],
+        median: samples[Math.floor(samples.length / 2)],
+        max: samples[samples.length - 1]
+    };
+}
+
+const xml = generateSyntheticEbp({ units });
+
+// The parser logs per unit - keep the console out of the measurement
+const log = console.log;
+console.log = () => {};
+
+const results = {
+    parseProject: await time(() => parseProject(xml), iterations),
+    parseUnits: await time(() => parseUnits(xml), iterations)
+};
+
+console.log = log;
+
+console.log(`Synthetic project: ${units} units, ${(xml.length / 1024 / 1024).toFixed(2)} MB`);
+console.table(Object.fromEntries(Object.entries(results).map(([name, { min, median, max }]) => [
+    name,
+    { 'min (ms)': min.toFixed(1), 'median (ms)': median.toFixed(1), 'max (ms)': max.toFixed(1) }
+])));
+
+if (results.parseProject.median > budget) {
+    console.error(`parseProject median ${results.parseProject.median.toFixed(1)} ms exceeds budget of ${budget} ms`);
+    process.exitCode = 1;
+}
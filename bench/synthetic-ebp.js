@@ -0,0 +1,100 @@
+/**
+ * Synthetic EBP Generator
+ * Builds large, structurally valid .ebp documents for parser benchmarks
+ */
+
+/**
+ * Default shape of the generated project
+ */
+const DEFAULT_OPTIONS = {
+    units: 200,
+    groupsPerUnit: 2,
+    channelsPerGroup: 12,
+    schemas: 40,
+    alarmsPerSchema: 10,
+    memoryPerSchema: 10
+};
+
+/**
+ * Generate a synthetic EBP project as an XML string
+ * Every channel is bound to one component (alternating input/output), so the
+ * channel -> component lookup is exercised for the full project.
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {string} XML content
+ */
+export function generateSyntheticEbp(options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    const parts = [];
+
+    parts.push('<?xml version="1.0" encoding="utf-8"?>');
+    parts.push('<project firmware="3.0.0" fileFormatVersion="1" savedAtUtc="2026-01-01T00:00:00Z" formatVersion="1" studioVersion="bench">');
+    parts.push('<units>');
+
+    const bindings = [];
+
+    for (let unitId = 1; unitId <= config.units; unitId++) {
+        // Unit 1 is the master (MCUv2), the rest are IO modules
+        const unitTypeId = unitId === 1 ? 105 : 4;
+        parts.push(`<unit id="${unitId}" serial="${100000 + unitId}" name="Unit ${unitId}" unitTypeId="${unitTypeId}" standardUnitVariantNumber="11">`);
+        parts.push('<unitChannelGroups>');
+
+        let channelNumber = 1;
+        for (let group = 1; group <= config.groupsPerUnit; group++) {
+            parts.push(`<unitChannelGroup channelGroupId="${group}"><channels>`);
+
+            for (let c = 0; c < config.channelsPerGroup; c++, channelNumber++) {
+                const isOutput = channelNumber % 2 === 0;
+                parts.push(isOutput
+                    ? `<channel number="${channelNumber}" name="Output ${unitId}.${channelNumber}" inMainChannelSettingId="1" inChannelSettingId="1" outMainChannelSettingId="48" outChannelSettingId="1" />`
+                    : `<channel number="${channelNumber}" name="Input ${unitId}.${channelNumber}" inMainChannelSettingId="57" inChannelSettingId="2" />`);
+
+                bindings.push({
+                    combiId: 256 * unitId + channelNumber - 1,
+                    unitId,
+                    direction: isOutput ? 'output' : 'input'
+                });
+            }
+
+            parts.push('</channels></unitChannelGroup>');
+        }
+
+        parts.push('</unitChannelGroups>');
+        parts.push('</unit>');
+    }
+
+    parts.push('</units>');
+    parts.push('<schemas>');
+
+    const perSchema = Math.ceil(bindings.length / config.schemas);
+    let alarmId = 1;
+    let memoryLocation = 0;
+
+    for (let schemaId = 1; schemaId <= config.schemas; schemaId++) {
+        parts.push(`<schema id="${schemaId}" name="Schema ${schemaId}" sortIndex="${schemaId}"><components>`);
+
+        bindings.slice((schemaId - 1) * perSchema, schemaId * perSchema).forEach((binding, i) => {
+            parts.push(`<component id="s${schemaId}c${i}" componentId="1281" componentRevision="1" channelId="${binding.combiId}" unitId="${binding.unitId}" direction="${binding.direction}">`);
+            parts.push(`<properties><property id="0" value="${schemaId}" /><property id="1" value="${i % 28}" /><property id="5" value="0" /></properties>`);
+            parts.push('</component>');
+        });
+
+        for (let a = 0; a < config.alarmsPerSchema; a++, alarmId++) {
+            parts.push(`<component id="s${schemaId}a${a}" componentId="1292" componentRevision="1" channelId="-2147483648">`);
+            parts.push(`<properties><property id="4" value="${alarmId}" /><property id="31" value="Alarm ${alarmId}" /></properties>`);
+            parts.push('</component>');
+        }
+
+        for (let m = 0; m < config.memoryPerSchema; m++, memoryLocation += 2) {
+            parts.push(`<component id="s${schemaId}m${m}" componentId="2304" componentRevision="1" channelId="-2147483648">`);
+            parts.push(`<properties><property id="0" value="2" /><property id="1" value="${memoryLocation}" /></properties>`);
+            parts.push('</component>');
+        }
+
+        parts.push('</components></schema>');
+    }
+
+    parts.push('</schemas>');
+    parts.push('</project>');
+
+    return parts.join('\n');
+}
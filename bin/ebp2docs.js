@@ -0,0 +1,484 @@
+#!/usr/bin/env node
+/**
+ * ebp2docs CLI
+ * Generates JSON, CSV, XLSX and HTML reports from EmpirBus Project (.ebp) files
+ * or from project JSON exports, change reports between two revisions, an
+ * inventory of unknown decodes and wire label sheets.
+ *
+ * Exit codes:
+ *   0 - report written, all checks passed (diff: the revisions are identical)
+ *   1 - validation or collision checks failed, reports are still written when possible
+ *       (diff: the revisions differ)
+ *   2 - usage, read or write error (inventory: also when a file fails validation)
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseProject, validateEBP } from '../js/parser.js';
+import { buildReport, renderHtmlReport } from '../js/report.js';
+import { toCsv } from '../js/csv.js';
+import { toXlsx } from '../js/xlsx.js';
+import { serializeProject, importProjectJson, isProjectJson } from '../js/project-json.js';
+import { orderBySavedAt, diffProjects, describeChange, buildDiffReport } from '../js/project-diff.js';
+import { buildDecodeInventory, toDecoderSnippet } from '../js/decode-inventory.js';
+import { parseDecoderDefinitions, setUserDecoderDefinitions } from '../js/decoder-definitions.js';
+import { parsePriceList } from '../js/price-list.js';
+import { LABEL_STOCKS, DEFAULT_LABEL_TEMPLATE, getUnknownTemplateFields, collectLabels, validateLabelStock, layoutLabels, renderLabelSheetSvg } from '../js/labels.js';
+import { MODULES } from '../modules.js';
+import { analyzeMemory, describeMemoryConflict } from '../js/memory-analyzer.js';
+import { analyzeAlarms, describeAlarmIssues } from '../js/alarm-analyzer.js';
+import { analyzeN2kCollisions, describeN2kCollision } from '../js/n2k-analyzer.js';
+import { analyzeChannels, describeChannelIssues } from '../js/channel-analyzer.js';
+
+const FORMATS = ['json', 'csv', 'xlsx', 'html', 'project'];
+
+// The diff command writes a change report, not a project
+const DIFF_FORMATS = FORMATS.filter(format => format !== 'project');
+
+const USAGE = `Usage: ebp2docs report <project.ebp|project.json> [options]
+       ebp2docs diff <old.ebp> <new.ebp> [options]
+       ebp2docs inventory <project.ebp>... [--out <dir>] [--decoders <file>]
+       ebp2docs labels <project.ebp|project.json> [label options] [--out <dir>]
+
+The diff command orders the two files by their save time, oldest first.
+The inventory command writes the unknown channel settings and undecoded
+component types of all given files as one JSON snippet.
+Decoder definition files extend or override the built-in channel setting
+and component decoders; later files win. A price list (CSV or JSON) adds a
+costed Bill of Materials with accessories to the report.
+The labels command writes one SVG per sheet of wire labels, one label per
+channel. For a PDF, print the sheets to PDF at 100% scale, or use Print / PDF
+in the viewer's Wire labels dialog.
+
+Options:
+  --format <list>    Comma-separated output formats: ${FORMATS.join(', ')} (default: json)
+                     (diff: ${DIFF_FORMATS.join(', ')})
+  --out <dir>        Output directory (default: current directory)
+  --decoders <file>  Decoder definitions to apply, can be repeated
+  --prices <file>    Price list for the costed BOM (report only)
+  --verbose          Show parser diagnostics on stderr
+  -h, --help         Show this help
+
+Label options:
+  --stock <id|file>  Label stock: ${[...LABEL_STOCKS.keys()].join(', ')}
+                     (default: ${[...LABEL_STOCKS.keys()][0]}) or a JSON file with the stock sizes in mm
+  --template <text>  Label text (default: "${DEFAULT_LABEL_TEMPLATE}")
+  --units <list>     Comma-separated unit IDs to label (default: all)
+  --copies <n>       Labels per channel (default: 1)
+  --outlines         Draw the label edges
+`;
+
+/**
+ * Error for invalid command line usage
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the node binary and script
+ * @returns {Object} { command, files, formats, outDir, decoders, prices, verbose, help,
+ *   stock, template, units, copies, outlines }
+ */
+function parseArgs(argv) {
+    const options = {
+        command: null, files: [], formats: ['json'], outDir: '.', decoders: [], prices: null, verbose: false, help: false,
+        stock: null, template: DEFAULT_LABEL_TEMPLATE, units: null, copies: 1, outlines: false
+    };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--format':
+            case '-f':
+                options.formats = (argv[++i] || '').split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+                break;
+            case '--out':
+            case '-o':
+                options.outDir = argv[++i];
+                break;
+            case '--decoders':
+                if (!argv[i + 1]) throw new UsageError('Missing decoder definitions file');
+                options.decoders.push(argv[++i]);
+                break;
+            case '--prices':
+                if (!argv[i + 1]) throw new UsageError('Missing price list file');
+                options.prices = argv[++i];
+                break;
+            case '--stock':
+                if (!argv[i + 1]) throw new UsageError('Missing label stock');
+                options.stock = argv[++i];
+                break;
+            case '--template':
+                if (argv[i + 1] === undefined) throw new UsageError('Missing label template');
+                options.template = argv[++i];
+                break;
+            case '--units':
+                options.units = (argv[++i] || '').split(',').map(unitId => unitId.trim()).filter(Boolean);
+                break;
+            case '--copies':
+                options.copies = Number(argv[++i]);
+                if (!Number.isInteger(options.copies) || options.copies < 1) throw new UsageError('--copies needs a whole number of at least 1');
+                break;
+            case '--outlines':
+                options.outlines = true;
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) throw new UsageError(`Unknown option: ${arg}`);
+                positional.push(arg);
+        }
+    }
+
+    [options.command = null, ...options.files] = positional;
+    return options;
+}
+
+/**
+ * Run the project checks that decide the exit code
+ * @param {Object} project - Project model from parseProject
+ * @returns {Object} Failure messages per check, e.g. { memory: [...] }
+ */
+function runChecks(project) {
+    return {
+        memory: analyzeMemory(project.memory).conflicts.map(describeMemoryConflict),
+        alarms: describeAlarmIssues(analyzeAlarms(project.alarms))
+            .filter(group => group.severity === 'error')
+            .flatMap(group => group.messages),
+        n2k: analyzeN2kCollisions(project.components).collisions.map(describeN2kCollision),
+        channels: describeChannelIssues(analyzeChannels(project))
+            .filter(group => group.severity === 'error')
+            .flatMap(group => group.messages)
+    };
+}
+
+/**
+ * Write every requested report format
+ * @param {Object} project - Project model from parseProject
+ * @param {Object} report - Report from buildReport or buildDiffReport
+ * @param {Array<string>} formats - Output formats
+ * @param {string} outDir - Output directory
+ * @param {string} baseName - File name stem
+ * @param {Object} extra - Additional top-level JSON fields
+ * @returns {Promise<Array<string>>} Written file paths
+ */
+async function writeReports(project, report, formats, outDir, baseName, extra) {
+    await mkdir(outDir, { recursive: true });
+    const written = [];
+
+    const write = async (fileName, content) => {
+        const filePath = path.join(outDir, fileName);
+        await writeFile(filePath, content, 'utf8');
+        written.push(filePath);
+    };
+
+    for (const format of formats) {
+        switch (format) {
+            case 'json': {
+                const json = {
+                    ...extra,
+                    metadata: report.metadata,
+                    ...Object.fromEntries(report.sections.map(section => [section.id, section.rows]))
+                };
+                await write(`${baseName}.json`, JSON.stringify(json, null, 2) + '\n');
+                break;
+            }
+            case 'csv':
+                for (const section of report.sections) {
+                    await write(`${baseName}-${section.id}.csv`, toCsv(section.columns, section.rows));
+                }
+                break;
+            case 'xlsx':
+                await write(`${baseName}.xlsx`, toXlsx(report.sections));
+                break;
+            case 'html':
+                await write(`${baseName}.html`, renderHtmlReport(report, report.title ?? `${baseName} - IO Report`));
+                break;
+            case 'project':
+                await write(`${baseName}.project.json`, serializeProject(project, { source: extra.source }) + '\n');
+                break;
+        }
+    }
+
+    return written;
+}
+
+/**
+ * Check the requested output formats
+ * @param {Array<string>} formats - Requested formats
+ * @param {Array<string>} supported - Formats the command can write
+ * @throws {UsageError} If a format is unsupported or none was given
+ */
+function checkFormats(formats, supported) {
+    const unknown = formats.filter(format => !supported.includes(format));
+    if (unknown.length > 0 || formats.length === 0) {
+        throw new UsageError(`Unsupported format: ${unknown.join(', ') || '(none)'}`);
+    }
+}
+
+/**
+ * File name stem for reports
+ * "boat.project.json" reports as "boat", like the "boat.ebp" it was exported from.
+ * @param {string} file - Input file path
+ * @returns {string} Base name
+ */
+function getBaseName(file) {
+    return path.basename(file).replace(/(\.project)?\.[^.]+$/, '');
+}
+
+/**
+ * Read a project from an .ebp file or a project JSON export
+ * @param {string} file - Input file path
+ * @returns {Promise<Object|null>} Project model, null when the .ebp fails validation
+ *   (the errors are printed)
+ */
+async function loadProject(file) {
+    const content = await readFile(file, 'utf8');
+
+    if (isProjectJson(content)) {
+        return importProjectJson(content);
+    }
+
+    const validation = validateEBP(content);
+    if (!validation.isValid) {
+        validation.errors.forEach(error => console.error(`✖ ${path.basename(file)}: ${error}`));
+        return null;
+    }
+
+    return parseProject(content);
+}
+
+/**
+ * Apply decoder definition files before any project is parsed
+ * @param {Array<string>} files - Definition file paths, in order
+ * @throws {Error} If a file can't be read or is invalid
+ */
+async function loadDecoderDefinitions(files) {
+    const definitions = [];
+    for (const file of files) {
+        const content = await readFile(file, 'utf8');
+        definitions.push({ name: path.basename(file), definitions: parseDecoderDefinitions(content) });
+    }
+    setUserDecoderDefinitions(definitions);
+}
+
+/**
+ * The report command
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function report(options) {
+    const [file] = options.files;
+    if (!file) throw new UsageError('Missing project file');
+    checkFormats(options.formats, FORMATS);
+
+    const priceList = options.prices
+        ? parsePriceList(await readFile(options.prices, 'utf8'), path.basename(options.prices))
+        : null;
+
+    const project = await loadProject(file);
+    if (!project) return 1;
+
+    const checks = runChecks(project);
+    const failures = Object.values(checks).flat();
+
+    const baseName = getBaseName(file);
+    if (options.formats.includes('project')
+        && path.resolve(options.outDir, `${baseName}.project.json`) === path.resolve(file)) {
+        throw new UsageError('The project format would overwrite the input file, choose another --out directory');
+    }
+
+    const written = await writeReports(project, buildReport(project, MODULES, { priceList }), options.formats, options.outDir, baseName, {
+        source: path.basename(file),
+        generatedAt: new Date().toISOString(),
+        checks
+    });
+
+    written.forEach(filePath => process.stdout.write(`Wrote ${filePath}\n`));
+    failures.forEach(failure => console.error(`✖ ${failure}`));
+
+    return failures.length > 0 ? 1 : 0;
+}
+
+/**
+ * The diff command
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function diff(options) {
+    if (options.files.length !== 2) throw new UsageError('The diff command needs two project files');
+    checkFormats(options.formats, DIFF_FORMATS);
+
+    const loaded = [];
+    for (const file of options.files) {
+        const project = await loadProject(file);
+        if (!project) return 2;
+        loaded.push({ name: path.basename(file), project });
+    }
+
+    const { older, newer, bySaveTime } = orderBySavedAt(loaded[0], loaded[1]);
+    if (!bySaveTime) {
+        console.error('ebp2docs: save times unknown, comparing the files in the given order');
+    }
+
+    const projectDiff = diffProjects(older.project, newer.project);
+    const baseName = `${getBaseName(older.name)}-vs-${getBaseName(newer.name)}`;
+
+    const written = await writeReports(newer.project, buildDiffReport(projectDiff, older, newer), options.formats, options.outDir, baseName, {
+        older: older.name,
+        newer: newer.name,
+        generatedAt: new Date().toISOString(),
+        counts: projectDiff.counts
+    });
+
+    written.forEach(filePath => process.stdout.write(`Wrote ${filePath}\n`));
+    projectDiff.changes.forEach(change => process.stdout.write(`${change.kind === 'added' ? '+' : change.kind === 'removed' ? '-' : '~'} ${describeChange(change)}\n`));
+
+    return projectDiff.changes.length > 0 ? 1 : 0;
+}
+
+/**
+ * The inventory command
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function inventory(options) {
+    if (options.files.length === 0) throw new UsageError('Missing project file');
+    checkFormats(options.formats, ['json']);
+
+    const sources = [];
+    for (const file of options.files) {
+        const project = await loadProject(file);
+        if (!project) return 2;
+        sources.push({ name: path.basename(file), project });
+    }
+
+    const decodeInventory = buildDecodeInventory(sources);
+    const baseName = options.files.length === 1 ? getBaseName(options.files[0]) : 'projects';
+    const filePath = path.join(options.outDir, `${baseName}-unknown-decodes.json`);
+
+    await mkdir(options.outDir, { recursive: true });
+    await writeFile(filePath, JSON.stringify(toDecoderSnippet(decodeInventory), null, 2) + '\n', 'utf8');
+
+    process.stdout.write(`Wrote ${filePath}\n`);
+    decodeInventory.channelSettings.forEach(({ direction, mainId, subId, count }) =>
+        process.stdout.write(`${direction} setting ${mainId}/${subId}: ${count} channel${count !== 1 ? 's' : ''}\n`));
+    decodeInventory.components.forEach(({ componentId, count }) =>
+        process.stdout.write(`component ${componentId}: ${count} instance${count !== 1 ? 's' : ''}\n`));
+
+    return 0;
+}
+
+/**
+ * Load the label stock: a built-in ID or a JSON file with the LabelStock fields
+ * @param {string|null} stock - --stock argument
+ * @returns {Promise<Object>} Label stock
+ */
+async function loadLabelStock(stock) {
+    if (!stock) return LABEL_STOCKS.values().next().value;
+    if (LABEL_STOCKS.has(stock)) return LABEL_STOCKS.get(stock);
+    if (!stock.endsWith('.json')) throw new UsageError(`Unknown label stock: ${stock}`);
+
+    let custom;
+    try {
+        custom = JSON.parse(await readFile(stock, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid label stock ${stock}: ${error.message}`);
+    }
+    const errors = validateLabelStock(custom);
+    if (errors.length > 0) throw new Error(`${stock}: ${errors.join('; ')}`);
+    return { name: path.basename(stock), ...custom };
+}
+
+/**
+ * The labels command
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function labels(options) {
+    const [file] = options.files;
+    if (!file) throw new UsageError('Missing project file');
+
+    const unknown = getUnknownTemplateFields(options.template);
+    if (unknown.length > 0) throw new UsageError(`Unknown label template field: ${unknown.map(field => `{${field}}`).join(', ')}`);
+    const stock = await loadLabelStock(options.stock);
+
+    const project = await loadProject(file);
+    if (!project) return 2;
+
+    const labelList = collectLabels(project.units, { template: options.template, unitIds: options.units, copies: options.copies });
+    if (labelList.length === 0) {
+        console.error('ebp2docs: no channels to label');
+        return 1;
+    }
+
+    const pages = layoutLabels(labelList, stock);
+    const baseName = `${getBaseName(file)}-labels`;
+    await mkdir(options.outDir, { recursive: true });
+
+    for (const [index, page] of pages.entries()) {
+        const filePath = path.join(options.outDir, pages.length === 1 ? `${baseName}.svg` : `${baseName}-${index + 1}.svg`);
+        await writeFile(filePath, renderLabelSheetSvg(page, stock, options), 'utf8');
+        process.stdout.write(`Wrote ${filePath}\n`);
+    }
+    process.stdout.write(`${labelList.length} label${labelList.length !== 1 ? 's' : ''} on ${pages.length} sheet${pages.length !== 1 ? 's' : ''} of ${stock.name}\n`);
+
+    return 0;
+}
+
+/**
+ * CLI entry point
+ * @param {Array<string>} argv - Arguments after the node binary and script
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    const options = parseArgs(argv);
+
+    if (options.help || !options.command) {
+        process.stdout.write(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    // The parser logs progress through console.log - keep stdout for our own output
+    const log = console.log;
+    console.log = options.verbose ? console.error : () => {};
+
+    try {
+        await loadDecoderDefinitions(options.decoders);
+
+        switch (options.command) {
+            case 'report':
+                return await report(options);
+            case 'diff':
+                return await diff(options);
+            case 'inventory':
+                return await inventory(options);
+            case 'labels':
+                return await labels(options);
+            default:
+                throw new UsageError(`Unknown command: ${options.command}`);
+        }
+    } finally {
+        console.log = log;
+    }
+}
+
+main(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    error => {
+        console.error(`ebp2docs: ${error.message}`);
+        if (error instanceof UsageError) process.stderr.write(`\n${USAGE}`);
+        process.exitCode = 2;
+    }
+);
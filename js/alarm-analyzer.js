@@ -0,0 +1,129 @@
+/**
+ * Alarm Analyzer Module
+ * Checks alarm (1292) numbering: duplicates, missing fields, range and gaps
+ */
+
+/**
+ * Valid alarm ID range (alarm IDs are transmitted as 16-bit values)
+ */
+export const ALARM_ID_RANGE = { min: 1, max: 65535 };
+
+/**
+ * Parse an alarm ID into an integer
+ * @param {string} alarmId - Alarm ID as read from property 4
+ * @returns {number|null} Integer ID, or null when missing/non-numeric
+ */
+function toAlarmNumber(alarmId) {
+    return /^\d+$/.test(String(alarmId).trim()) ? parseInt(alarmId, 10) : null;
+}
+
+/**
+ * Analyze alarm numbering across all schemas
+ * @param {Array} alarms - Alarms from parseAlarms
+ * @param {Object} range - Optional { min, max } (defaults to ALARM_ID_RANGE)
+ * @returns {Object} { duplicates, missingId, missingName, outOfRange, gaps, flagged }
+ *   - duplicates: [{ alarmId, alarms }] for IDs used more than once
+ *   - missingId / missingName: alarms lacking property 4 / property 31
+ *   - outOfRange: alarms whose ID is non-numeric or outside the range
+ *   - gaps: [{ start, end }] unused ID ranges between the lowest and highest ID
+ *   - flagged: Set of alarms with an error (duplicate, missing or invalid ID)
+ */
+export function analyzeAlarms(alarms, range = ALARM_ID_RANGE) {
+    const byId = new Map();
+    const missingId = [];
+    const missingName = [];
+    const outOfRange = [];
+
+    alarms.forEach(alarm => {
+        if (!alarm.alarmName || alarm.alarmName === 'N/A') {
+            missingName.push(alarm);
+        }
+
+        if (!alarm.alarmId || alarm.alarmId === 'N/A') {
+            missingId.push(alarm);
+            return;
+        }
+
+        const id = toAlarmNumber(alarm.alarmId);
+        if (id === null || id < range.min || id > range.max) {
+            outOfRange.push(alarm);
+            if (id === null) return;
+        }
+
+        if (!byId.has(id)) byId.set(id, []);
+        byId.get(id).push(alarm);
+    });
+
+    const duplicates = Array.from(byId.entries())
+        .filter(([, group]) => group.length > 1)
+        .map(([alarmId, group]) => ({ alarmId, alarms: group }));
+
+    const gaps = [];
+    const usedIds = Array.from(byId.keys())
+        .filter(id => id >= range.min && id <= range.max)
+        .sort((a, b) => a - b);
+    for (let i = 1; i < usedIds.length; i++) {
+        if (usedIds[i] - usedIds[i - 1] > 1) {
+            gaps.push({ start: usedIds[i - 1] + 1, end: usedIds[i] - 1 });
+        }
+    }
+
+    const flagged = new Set([
+        ...duplicates.flatMap(duplicate => duplicate.alarms),
+        ...missingId,
+        ...outOfRange
+    ]);
+
+    return { duplicates, missingId, missingName, outOfRange, gaps, flagged };
+}
+
+/**
+ * Group alarm analysis results into human-readable issue groups
+ * Duplicates, missing IDs and out-of-range IDs are errors; missing names
+ * and numbering gaps are warnings.
+ * @param {Object} analysis - Result of analyzeAlarms
+ * @param {Object} range - Range used for the analysis
+ * @returns {Array<Object>} [{ severity, title, messages, items }], empty groups
+ *   omitted; items holds the duplicate, alarm or gap behind each message
+ */
+export function describeAlarmIssues(analysis, range = ALARM_ID_RANGE) {
+    const where = alarm => `"${alarm.alarmName}" in ${alarm.schemaName}`;
+
+    const groups = [
+        {
+            severity: 'error',
+            title: 'Duplicate alarm IDs',
+            items: analysis.duplicates,
+            describe: ({ alarmId, alarms }) =>
+                `ID ${alarmId} is used ${alarms.length} times: ${alarms.map(where).join(', ')}`
+        },
+        {
+            severity: 'error',
+            title: 'Alarms without an ID',
+            items: analysis.missingId,
+            describe: alarm => `${where(alarm)} has no alarm ID`
+        },
+        {
+            severity: 'error',
+            title: 'Invalid alarm IDs',
+            items: analysis.outOfRange,
+            describe: alarm => `ID ${alarm.alarmId} (${where(alarm)}) is outside ${range.min}-${range.max}`
+        },
+        {
+            severity: 'warning',
+            title: 'Alarms without a name',
+            items: analysis.missingName,
+            describe: alarm => `Alarm ID ${alarm.alarmId} in ${alarm.schemaName} has no name`
+        },
+        {
+            severity: 'warning',
+            title: 'Gaps in alarm numbering',
+            items: analysis.gaps,
+            describe: ({ start, end }) => start === end ? `ID ${start} is unused` : `IDs ${start}-${end} are unused`
+        }
+    ];
+
+    return groups
+        .filter(group => group.items.length > 0)
+        .map(({ severity, title, items, describe }) => ({ severity, title, messages: items.map(describe), items }));
+}
@@ -0,0 +1,262 @@
+/**
+ * Built-in Decoder Definitions
+ * The channel setting and component tables that ship with ebp2docs, in the
+ * declarative format of decoder-definitions.js (schema/decoders.schema.json).
+ * User definition files extend or override these.
+ */
+
+export const BUILTIN_DECODERS = {
+    format: 'ebp2docs-decoders',
+    version: 1,
+    name: 'Built-in',
+
+    /**
+     * Lookup tables referenced by component fields ("enum": "<name>")
+     * The NMEA 2000 tables for DC, charger, AC, engine, humidity and pressure
+     * PGNs have no built-in component yet; definition files can reference them.
+     */
+    enums: {
+        // Fluid types for Fluid Level component (PGN 127505)
+        fluidTypes: [
+            'fuel',
+            'fresh water',
+            'waste water',
+            'live well',
+            'oil',
+            'black water'
+        ],
+        // Temperature sources for Temperature component (PGN 130312)
+        temperatureSources: [
+            'sea',
+            'outside',
+            'inside',
+            'engine room',
+            'main cabin',
+            'live well',
+            'bait well',
+            'refridgeration',
+            'heating system',
+            'dew point',
+            'wind chill apparent',
+            'wind chill theoretical',
+            'heat index',
+            'freezer'
+        ],
+        // DC source types for DC Detailed Status (PGN 127506)
+        dcSources: [
+            'battery',
+            'alternator',
+            'convertor',
+            'solar cell',
+            'wind generator'
+        ],
+        // Charger operating states for Charger Status (PGN 127507)
+        chargerStates: [
+            'not charging',
+            'bulk',
+            'absorption',
+            'overcharge',
+            'equalise',
+            'float',
+            'no float',
+            'constant VI',
+            'disabled',
+            'fault'
+        ],
+        // Charger modes for Charger Status (PGN 127507)
+        chargerModes: [
+            'standalone',
+            'primary',
+            'secondary',
+            'echo'
+        ],
+        // AC lines for AC Input/Output Status (PGN 127503/127504)
+        acLines: [
+            'line 1',
+            'line 2',
+            'line 3'
+        ],
+        // Engine instances for Engine Parameters (PGN 127488/127489)
+        engineInstances: [
+            'single engine or dual engine port',
+            'dual engine starboard'
+        ],
+        // Humidity sources for Humidity (PGN 130313)
+        humiditySources: [
+            'inside',
+            'outside'
+        ],
+        // Pressure sources for Actual Pressure (PGN 130314)
+        pressureSources: [
+            'atmospheric',
+            'water',
+            'steam',
+            'compressed air',
+            'hydraulic',
+            'filter',
+            'altimeter setting',
+            'oil',
+            'fuel'
+        ],
+        // J1939 PGN types
+        j1939AcPgns: [
+            65014, 65027, 65011, 65008,
+            65024, 65021, 65017, 65030,
+            65004, 65003, 65002, 65001
+        ]
+    },
+
+    /**
+     * Input channel type/subtype mappings, keyed by main setting ID
+     */
+    inputSettings: {
+        1: { type: 'digital input', subtype: 'standard' },
+        57: {
+            type: 'digital input',
+            subtypes: {
+                1: 'closes to minus',
+                2: 'closes to plus',
+                4: 'closes to common',
+                6: 'closes to plus weak pulldown',
+                7: 'measure input frequency'
+            }
+        },
+        64: {
+            type: 'analog input',
+            subtypes: {
+                1: 'voltage signal',
+                2: '4-20 mA',
+                4: '0-1500 Ohm',
+                5: 'multiswitch',
+                6: 'firealarm (constant power)',
+                7: 'multiswitch (68Ohm +/- 1%)',
+                8: 'dual fixed multiswitch',
+                9: 'temp sensor ohm'
+            }
+        },
+        54: {
+            type: 'window wiper feedback',
+            subtypes: {
+                1: 'closes to minus in parking',
+                2: 'open in parking'
+            }
+        }
+    },
+
+    /**
+     * Output channel type/subtype mappings, keyed by main setting ID
+     */
+    outputSettings: {
+        1: { type: 'digital output', subtype: 'standard' },
+        48: {
+            type: 'digital output +',
+            subtypes: {
+                1: 'normal',
+                2: 'open load detection',
+                3: 'open load detection at turn on'
+            }
+        },
+        49: {
+            type: 'digital output -',
+            subtypes: {
+                1: 'normal'
+            }
+        },
+        52: {
+            type: 'commonline',
+            subtypes: {
+                0: 'normal'
+            }
+        },
+        53: {
+            type: 'half bridge output +/-',
+            subtypes: {
+                0: 'normal half bridge'
+            }
+        },
+        55: {
+            type: 'window wiper',
+            subtypes: {
+                1: 'connection #1 with diode',
+                2: 'connection #1 no diode',
+                3: 'connection #2 with diode',
+                4: 'connection #2 no diode'
+            }
+        },
+        65: {
+            type: 'signal drive (max 50mA)',
+            subtypes: {
+                0: 'positive drive',
+                1: 'negative drive'
+            }
+        }
+    },
+
+    /**
+     * NMEA 2000 components, keyed by componentId
+     * Each field reads a component property, optionally through an enum table.
+     */
+    components: {
+        1283: {
+            name: 'Fluid Level',
+            pgn: 127505,
+            fields: {
+                instance: { property: 0 },
+                id: { property: 1, enum: 'fluidTypes', unknown: 'unknown' },
+                direction: { property: 2 }
+            }
+        },
+        1281: {
+            name: 'Binary Switch',
+            pgn: 127501,
+            fields: {
+                instance: { property: 0 },
+                // Switch numbers are stored zero-based
+                id: { property: 1, offset: 1 },
+                direction: { property: 5 }
+            }
+        },
+        1282: {
+            name: 'Binary Indicator',
+            pgn: 127501,
+            fields: {
+                instance: { property: 0 },
+                id: { property: 1, offset: 1 },
+                direction: { property: 2 }
+            }
+        },
+        1285: {
+            name: 'Temperature',
+            pgn: 130312,
+            fields: {
+                instance: { property: 0 },
+                id: { property: 1, enum: 'temperatureSources', unknown: 'unknown' },
+                direction: { property: 5 }
+            }
+        },
+        1291: {
+            name: 'Switch Control',
+            pgn: 127502,
+            fields: {
+                instance: { property: 1 },
+                id: { property: 2, offset: 1 },
+                direction: { property: 0 }
+            }
+        },
+        1376: {
+            name: 'J1939 AC PGN',
+            pgn: { property: 1, enum: 'j1939AcPgns', unknown: 0 },
+            fields: {
+                device: { property: 0 }
+            }
+        },
+        1361: {
+            name: 'Proprietary PGN',
+            pgn: 65280,
+            fields: {
+                instance: { property: 2 },
+                direction: { property: 0 }
+            }
+        }
+    }
+};
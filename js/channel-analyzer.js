@@ -0,0 +1,116 @@
+/**
+ * Channel Analyzer Module
+ * Detects channels claimed by several components and components bound to
+ * channels that don't exist
+ */
+
+/**
+ * Find overlapping and dangling channel bindings
+ * A channel overlaps when its components disagree on the direction (one reads
+ * it as an input, another drives it as an output) or when it is bound in more
+ * than one schema. A component's channelId is dangling when no unit or channel
+ * matches it (unitId = floor(channelId / 256), number = channelId % 256 + 1).
+ * @param {Object} project - Project model from parseProject (channels,
+ *   unitsById, channelsById and componentsByChannelId are used)
+ * @returns {Object} { overlaps, dangling, overlapsByChannelId }
+ *   - overlaps: [{ channel, components, directions, schemaNames, mixedDirections, multipleSchemas }]
+ *   - dangling: [{ channelId, unitId, number, missing, components }] where
+ *     missing is 'unit' or 'channel'
+ *   - overlapsByChannelId: Map of combiId to its overlap
+ */
+export function analyzeChannels(project) {
+    const { channels, unitsById, channelsById, componentsByChannelId } = project;
+    const overlaps = [];
+    const overlapsByChannelId = new Map();
+
+    channels.forEach(channel => {
+        const components = componentsByChannelId.get(channel.combiId) || [];
+        if (components.length < 2) return;
+
+        const directions = [...new Set(components.map(component => component.direction).filter(Boolean))];
+        const schemaNames = [...new Set(components.map(component => component.schemaName || 'unnamed schema'))];
+        const schemaCount = new Set(components.map(component => component.schemaId)).size;
+        const mixedDirections = directions.length > 1;
+        const multipleSchemas = schemaCount > 1;
+        if (!mixedDirections && !multipleSchemas) return;
+
+        const overlap = { channel, components, directions, schemaNames, mixedDirections, multipleSchemas };
+        overlaps.push(overlap);
+        overlapsByChannelId.set(channel.combiId, overlap);
+    });
+
+    const dangling = [];
+    componentsByChannelId.forEach((components, channelId) => {
+        if (channelsById.has(channelId)) return;
+
+        const unitId = Math.floor(channelId / 256);
+        dangling.push({
+            channelId,
+            unitId,
+            number: (channelId % 256) + 1,
+            missing: unitsById.has(unitId) ? 'channel' : 'unit',
+            components
+        });
+    });
+    dangling.sort((a, b) => a.channelId - b.channelId);
+
+    return { overlaps, dangling, overlapsByChannelId };
+}
+
+/**
+ * Short label for an overlap, for table cells and exports
+ * @param {Object} overlap - Overlap from analyzeChannels
+ * @returns {string} 'direction conflict', 'multiple schemas' or both
+ */
+export function getOverlapLabel(overlap) {
+    const labels = [];
+    if (overlap.mixedDirections) labels.push('direction conflict');
+    if (overlap.multipleSchemas) labels.push('multiple schemas');
+    return labels.join(', ');
+}
+
+/**
+ * Group channel analysis results into human-readable issue groups
+ * Direction conflicts and dangling references are errors; a channel bound
+ * consistently in several schemas is a warning.
+ * @param {Object} analysis - Result of analyzeChannels
+ * @returns {Array<Object>} [{ severity, title, messages, items }], empty groups
+ *   omitted; items holds the overlap or dangling entry behind each message
+ */
+export function describeChannelIssues(analysis) {
+    const channelName = ({ unitId, number, name }) =>
+        `Unit ${unitId} channel ${number}${name && name !== 'N/A' ? ` "${name}"` : ''}`;
+    const where = component => `component ${component.instanceId} (${component.direction || 'no direction'}) in ${component.schemaName || 'unnamed schema'}`;
+
+    const groups = [
+        {
+            severity: 'error',
+            title: 'Channels used as both input and output',
+            items: analysis.overlaps.filter(overlap => overlap.mixedDirections),
+            describe: ({ channel, components }) =>
+                `${channelName(channel)} is used by ${components.map(where).join(', ')}`
+        },
+        {
+            severity: 'error',
+            title: 'Components bound to missing channels',
+            items: analysis.dangling,
+            describe: ({ channelId, unitId, number, missing, components }) => {
+                const target = missing === 'unit'
+                    ? `unit ${unitId}, which doesn't exist`
+                    : `channel ${number} on unit ${unitId}, which doesn't exist`;
+                return `Channel ID ${channelId} points to ${target}: ${components.map(where).join(', ')}`;
+            }
+        },
+        {
+            severity: 'warning',
+            title: 'Channels bound in several schemas',
+            items: analysis.overlaps.filter(overlap => overlap.multipleSchemas && !overlap.mixedDirections),
+            describe: ({ channel, schemaNames }) =>
+                `${channelName(channel)} is bound in ${schemaNames.join(', ')}`
+        }
+    ];
+
+    return groups
+        .filter(group => group.items.length > 0)
+        .map(({ severity, title, items, describe }) => ({ severity, title, messages: items.map(describe), items }));
+}
@@ -1,89 +1,16 @@
 /**
  * Channel Decoder Module
- * Decodes channel settings for EBP units
+ * Decodes channel settings for EBP units using the input and output setting
+ * tables of the active decoder definitions (decoder-definitions.js)
  */
 
-// Input channel type/subtype mappings
-const INPUT_SETTINGS = {
-    1: { type: 'digital input', subtype: 'standard' },
-    57: {
-        type: 'digital input',
-        subtypes: {
-            1: 'closes to minus',
-            2: 'closes to plus',
-            4: 'closes to common',
-            6: 'closes to plus weak pulldown',
-            7: 'measure input frequency'
-        }
-    },
-    64: {
-        type: 'analog input',
-        subtypes: {
-            1: 'voltage signal',
-            2: '4-20 mA',
-            4: '0-1500 Ohm',
-            5: 'multiswitch',
-            6: 'firealarm (constant power)',
-            7: 'multiswitch (68Ohm +/- 1%)',
-            8: 'dual fixed multiswitch',
-            9: 'temp sensor ohm'
-        }
-    },
-    54: {
-        type: 'window wiper feedback',
-        subtypes: {
-            1: 'closes to minus in parking',
-            2: 'open in parking'
-        }
-    }
-};
+import { getDecoderDefinitions } from './decoder-definitions.js';
 
-// Output channel type/subtype mappings
-const OUTPUT_SETTINGS = {
-    1: { type: 'digital output', subtype: 'standard' },
-    48: {
-        type: 'digital output +',
-        subtypes: {
-            1: 'normal',
-            2: 'open load detection',
-            3: 'open load detection at turn on'
-        }
-    },
-    49: {
-        type: 'digital output -',
-        subtypes: {
-            1: 'normal'
-        }
-    },
-    52: {
-        type: 'commonline',
-        subtypes: {
-            0: 'normal'
-        }
-    },
-    53: {
-        type: 'half bridge output +/-',
-        subtypes: {
-            0: 'normal half bridge'
-        }
-    },
-    55: {
-        type: 'window wiper',
-        subtypes: {
-            1: 'connection #1 with diode',
-            2: 'connection #1 no diode',
-            3: 'connection #2 with diode',
-            4: 'connection #2 no diode'
-        }
-    },
-    65: {
-        type: 'signal drive (max 50mA)',
-        subtypes: {
-            0: 'positive drive',
-            1: 'negative drive'
-        }
-    }
-};
+/**
+ * Prefix of decoded values missing from the setting tables, followed by the raw ID
+ * (e.g. ':unknown:57'); a bare prefix means the setting is not set
+ */
+export const UNKNOWN_DECODE = ':unknown:';
 
 /**
  * Decode channel settings into human-readable format
@@ -109,12 +36,12 @@ export function decodeChannelSettings(channel) {
  * @returns {Object} Decoded input settings
  */
 function decodeInputSettings(mainId, subId) {
-    const config = INPUT_SETTINGS[mainId];
+    const config = getDecoderDefinitions().inputSettings[mainId];
 
     if (!config) {
         return {
-            type: ':unknown:' + mainId,
-            subtype: ':unknown:' + subId
+            type: UNKNOWN_DECODE + mainId,
+            subtype: UNKNOWN_DECODE + subId
         };
     }
 
@@ -130,7 +57,7 @@ function decodeInputSettings(mainId, subId) {
     const subtype = config.subtypes && config.subtypes[subId];
     return {
         type: config.type,
-        subtype: subtype || (':unknown:' + subId)
+        subtype: subtype || (UNKNOWN_DECODE + subId)
     };
 }
 
@@ -144,17 +71,17 @@ function decodeOutputSettings(mainId, subId) {
     // Handle -1 (not set)
     if (mainId === -1) {
         return {
-            type: ':unknown:',
-            subtype: ':unknown:'
+            type: UNKNOWN_DECODE,
+            subtype: UNKNOWN_DECODE
         };
     }
 
-    const config = OUTPUT_SETTINGS[mainId];
+    const config = getDecoderDefinitions().outputSettings[mainId];
 
     if (!config) {
         return {
-            type: ':unknown:' + mainId,
-            subtype: ':unknown:' + subId
+            type: UNKNOWN_DECODE + mainId,
+            subtype: UNKNOWN_DECODE + subId
         };
     }
 
@@ -170,6 +97,6 @@ function decodeOutputSettings(mainId, subId) {
     const subtype = config.subtypes && config.subtypes[subId];
     return {
         type: config.type,
-        subtype: subtype || (':unknown:' + subId)
+        subtype: subtype || (UNKNOWN_DECODE + subId)
     };
 }
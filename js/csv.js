@@ -0,0 +1,96 @@
+/**
+ * CSV Module
+ * Serializes tabular data to RFC 4180 CSV and reads CSV files back
+ */
+
+// Leading characters spreadsheets read as the start of a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Text that is a plain number, e.g. "-12.5", and can't be a formula
+const NUMBER_TEXT = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Quote a single CSV field when needed
+ * Text that a spreadsheet would run as a formula (a name like "=1+1" or
+ * "@SUM(...)") gets a leading apostrophe so it opens as plain text.
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function formatField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_START.test(text) && !NUMBER_TEXT.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert rows to CSV with a header line
+ * @param {Array<Object>} columns - Column definitions { key, label }
+ * @param {Array<Object>} rows - Row objects keyed by column key
+ * @returns {string} CSV text (CRLF line endings)
+ */
+export function toCsv(columns, rows) {
+    const lines = [columns.map(column => formatField(column.label)).join(',')];
+
+    rows.forEach(row => {
+        lines.push(columns.map(column => formatField(row[column.key])).join(','));
+    });
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * Handles quoted fields, CRLF or LF line endings and a leading byte order
+ * mark. The delimiter is a comma, or a semicolon when the first line has more
+ * of those (as spreadsheets in many locales write it). Blank lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of field values
+ */
+export function parseCsv(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) endRow();
+
+    return rows;
+}
@@ -0,0 +1,304 @@
+/**
+ * Data Table Module
+ * The shared table of the tabs: click a header to sort, type below it to
+ * filter, pick the visible columns and group rows by a column. Settings are
+ * kept per table ID and applied to the matching report section on export,
+ * so CSV/XLSX files have the columns, filters and order shown on screen.
+ */
+
+import { escapeHtml, debounce } from './utils.js';
+
+/**
+ * Column definition
+ * @typedef {Object} DataTableColumn
+ * @property {string} key - Column key; matches the report section column it exports as
+ * @property {string} label - Header label
+ * @property {Function} value - (row) => raw value used to sort, filter, group and display
+ * @property {Function} [html] - (row) => cell HTML when the value isn't shown as plain text
+ * @property {string} [className] - Cell class
+ * @property {boolean} [hidden] - Hidden until the user shows it
+ * @property {boolean} [groupable] - Offered in "Group by"
+ */
+
+/**
+ * Table settings
+ * @typedef {Object} DataTableSettings
+ * @property {Object|null} sort - { key, direction } with direction 1 or -1
+ * @property {Object<string, string>} filters - Filter text per column key
+ * @property {Array<string>} hidden - Hidden column keys
+ * @property {string|null} groupBy - Column key rows are grouped by
+ */
+
+// Settings the user changed, by table ID; tables without an entry use the column defaults
+let tableSettings = {};
+
+// Called with (id, settings) after a table's settings change
+let changeListener = null;
+
+/**
+ * Get the settings of a table
+ * @param {string} id - Table ID
+ * @returns {DataTableSettings|null} Settings, null while the table has its defaults
+ */
+export function getTableSettings(id) {
+    return tableSettings[id] ?? null;
+}
+
+/**
+ * Get the settings of every table, e.g. to store them
+ * @returns {Object<string, DataTableSettings>} Settings by table ID
+ */
+export function getAllTableSettings() {
+    return tableSettings;
+}
+
+/**
+ * Replace the settings of every table, e.g. with stored ones
+ * @param {Object<string, DataTableSettings>} settings - Settings by table ID
+ */
+export function restoreTableSettings(settings) {
+    tableSettings = settings ?? {};
+}
+
+/**
+ * Set the callback for settings changes
+ * @param {Function|null} listener - (id, settings) => void, called after the table re-rendered
+ */
+export function onTableSettingsChange(listener) {
+    changeListener = listener;
+}
+
+/**
+ * Default settings of a table: original order, no filters, columns marked hidden
+ */
+function defaultSettings(columns) {
+    return {
+        sort: null,
+        filters: {},
+        hidden: columns.filter(column => column.hidden).map(column => column.key),
+        groupBy: null
+    };
+}
+
+/**
+ * Compare two cell values: numbers numerically, text naturally, empty last
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {number} Sort order
+ */
+export function compareValues(a, b) {
+    const emptyA = a === null || a === undefined || a === '';
+    const emptyB = b === null || b === undefined || b === '';
+    if (emptyA || emptyB) return emptyA - emptyB;
+
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Check a value against a column filter (case-insensitive contains)
+ */
+function matchesFilter(value, text) {
+    return String(value ?? '').toLowerCase().includes(text.trim().toLowerCase());
+}
+
+/**
+ * Filter, sort and group rows
+ * @param {Array} rows - Rows
+ * @param {DataTableSettings} settings - Table settings
+ * @param {Function} valueOf - (row, key) => value, undefined for unknown keys
+ * @param {Function} hasKey - (key) => whether the table has the column
+ * @returns {Array<Object>} [{ value, rows }] groups in display order; one group
+ *   with value undefined when not grouping
+ */
+function arrangeRows(rows, settings, valueOf, hasKey) {
+    const filters = Object.entries(settings.filters ?? {})
+        .filter(([key, text]) => text && text.trim() !== '' && hasKey(key));
+    const filtered = rows.filter(row => filters.every(([key, text]) => matchesFilter(valueOf(row, key), text)));
+
+    const { sort } = settings;
+    const sorted = sort && hasKey(sort.key)
+        ? [...filtered].sort((a, b) => compareValues(valueOf(a, sort.key), valueOf(b, sort.key)) * sort.direction)
+        : filtered;
+
+    if (!settings.groupBy || !hasKey(settings.groupBy)) {
+        return [{ value: undefined, rows: sorted }];
+    }
+
+    const groups = new Map();
+    sorted.forEach(row => {
+        const value = valueOf(row, settings.groupBy) ?? '';
+        if (!groups.has(value)) groups.set(value, []);
+        groups.get(value).push(row);
+    });
+    return Array.from(groups, ([value, groupRows]) => ({ value, rows: groupRows }))
+        .sort((a, b) => compareValues(a.value, b.value));
+}
+
+/**
+ * Apply a table's settings to the report section with the same ID
+ * Columns the section doesn't have are ignored; grouping orders the rows by
+ * the group column.
+ * @param {Object} section - { id, title, columns, rows } from report.js
+ * @param {DataTableSettings|null} settings - Table settings (null uses the defaults:
+ *   the section's columns marked hidden are left out)
+ * @returns {Object} Section with the visible columns and the shown rows in order
+ */
+export function applyTableSettings(section, settings) {
+    const current = settings ?? defaultSettings(section.columns);
+    const keys = new Set(section.columns.map(column => column.key));
+    const hidden = new Set(current.hidden ?? []);
+    const groups = arrangeRows(section.rows, current, (row, key) => row[key], key => keys.has(key));
+
+    return {
+        ...section,
+        columns: section.columns.filter(column => !hidden.has(column.key)),
+        rows: groups.flatMap(group => group.rows)
+    };
+}
+
+/**
+ * Render a data table into an element
+ * @param {HTMLElement} element - Element the table replaces the content of
+ * @param {Object} table - { id, columns, rows, className, rowKey, rowClass, onRowClick }:
+ *   DataTableColumn definitions, the row objects, an optional table class and
+ *   optional (row) => data-row-key, (row) => row class and (row) => void callbacks
+ */
+export function mountDataTable(element, table) {
+    const { id, columns, rows, className = '', rowKey = null, rowClass = null, onRowClick = null } = table;
+    const columnsByKey = new Map(columns.map(column => [column.key, column]));
+    const rowIndexes = new Map(rows.map((row, index) => [row, index]));
+    const valueOf = (row, key) => columnsByKey.get(key)?.value(row);
+    const hasKey = key => columnsByKey.has(key);
+    const settings = () => getTableSettings(id) ?? defaultSettings(columns);
+    let columnsOpen = false;
+
+    const update = (changes, bodyOnly = false) => {
+        tableSettings = { ...tableSettings, [id]: { ...settings(), ...changes } };
+        if (bodyOnly) renderBody();
+        else render();
+        if (changeListener) changeListener(id, tableSettings[id]);
+    };
+
+    const visibleColumns = () => columns.filter(column => !settings().hidden.includes(column.key));
+
+    const renderCell = (column, row) => {
+        const content = column.html ? column.html(row) : escapeHtml(column.value(row));
+        return `<td${column.className ? ` class="${column.className}"` : ''}>${content}</td>`;
+    };
+
+    const renderBody = () => {
+        const visible = visibleColumns();
+        const current = settings();
+        const groups = arrangeRows(rows, current, valueOf, hasKey);
+        const shown = groups.reduce((sum, group) => sum + group.rows.length, 0);
+
+        let html = '';
+        groups.forEach(group => {
+            if (current.groupBy) {
+                const label = columnsByKey.get(current.groupBy).label;
+                html += `<tr class="data-table-group-row"><td colspan="${visible.length}">${escapeHtml(label)}: ${escapeHtml(group.value) || '<em>empty</em>'} <span>(${group.rows.length})</span></td></tr>`;
+            }
+            group.rows.forEach(row => {
+                const classes = rowClass ? rowClass(row) : '';
+                html += `<tr data-index="${rowIndexes.get(row)}"`;
+                if (rowKey) html += ` data-row-key="${escapeHtml(rowKey(row))}"`;
+                if (classes) html += ` class="${classes}"`;
+                html += '>' + visible.map(column => renderCell(column, row)).join('') + '</tr>';
+            });
+        });
+
+        element.querySelector('tbody').innerHTML = html;
+        element.querySelector('.data-table-count').textContent = shown === rows.length
+            ? `${rows.length} row${rows.length !== 1 ? 's' : ''}`
+            : `${shown} of ${rows.length} rows`;
+    };
+
+    const render = () => {
+        const current = settings();
+        const visible = visibleColumns();
+        const groupable = columns.filter(column => column.groupable);
+
+        let html = '<div class="data-table-controls">';
+        if (groupable.length > 0) {
+            html += '<label>Group by <select class="data-table-group-by"><option value="">None</option>';
+            groupable.forEach(column => {
+                html += `<option value="${escapeHtml(column.key)}"${current.groupBy === column.key ? ' selected' : ''}>${escapeHtml(column.label)}</option>`;
+            });
+            html += '</select></label>';
+        }
+        html += `<details class="data-table-columns"${columnsOpen ? ' open' : ''}><summary>Columns (${visible.length}/${columns.length})</summary><div class="data-table-columns-list">`;
+        columns.forEach(column => {
+            const checked = !current.hidden.includes(column.key);
+            html += `<label><input type="checkbox" data-column="${escapeHtml(column.key)}"${checked ? ' checked' : ''}> ${escapeHtml(column.label)}</label>`;
+        });
+        html += '</div></details>';
+        if (getTableSettings(id)) {
+            html += '<button type="button" class="data-table-reset">Reset table</button>';
+        }
+        html += '<span class="data-table-count"></span></div>';
+
+        html += `<div class="data-table-scroll"><table class="data-table${className ? ` ${className}` : ''}"><thead><tr>`;
+        visible.forEach(column => {
+            const indicator = current.sort?.key === column.key ? (current.sort.direction > 0 ? ' ▲' : ' ▼') : '';
+            html += '<th>';
+            html += `<button type="button" class="data-table-sort" data-key="${escapeHtml(column.key)}" title="Sort by ${escapeHtml(column.label)}">${escapeHtml(column.label)}${indicator}</button>`;
+            html += `<input type="search" class="data-table-filter" data-key="${escapeHtml(column.key)}" value="${escapeHtml(current.filters[column.key] ?? '')}" placeholder="Filter" aria-label="Filter ${escapeHtml(column.label)}">`;
+            html += '</th>';
+        });
+        html += '</tr></thead><tbody></tbody></table></div>';
+
+        element.innerHTML = html;
+        renderBody();
+    };
+
+    // Sorting cycles ascending, descending, original order
+    element.addEventListener('click', (e) => {
+        const sortButton = e.target.closest('.data-table-sort');
+        if (sortButton) {
+            const { key } = sortButton.dataset;
+            const { sort } = settings();
+            const next = sort?.key !== key ? { key, direction: 1 } : sort.direction > 0 ? { key, direction: -1 } : null;
+            update({ sort: next });
+            return;
+        }
+
+        if (e.target.closest('.data-table-reset')) {
+            const { [id]: _, ...others } = tableSettings;
+            tableSettings = others;
+            render();
+            if (changeListener) changeListener(id, null);
+            return;
+        }
+
+        const row = e.target.closest('tr[data-index]');
+        if (row && onRowClick) onRowClick(rows[Number(row.dataset.index)]);
+    });
+
+    element.addEventListener('change', (e) => {
+        if (e.target.matches('.data-table-group-by')) {
+            update({ groupBy: e.target.value || null });
+        } else if (e.target.matches('input[data-column]')) {
+            const { column } = e.target.dataset;
+            const hidden = settings().hidden.filter(key => key !== column);
+            // At least one column stays visible
+            if (!e.target.checked && hidden.length + 1 < columns.length) hidden.push(column);
+            columnsOpen = true;
+            update({ hidden });
+        }
+    });
+
+    element.addEventListener('toggle', (e) => {
+        if (e.target.matches('.data-table-columns')) columnsOpen = e.target.open;
+    }, true);
+
+    // Only the body is rendered again, so the filter keeps its focus
+    const applyFilter = debounce((key, text) => {
+        update({ filters: { ...settings().filters, [key]: text } }, true);
+    }, 200);
+    element.addEventListener('input', (e) => {
+        if (e.target.matches('.data-table-filter')) applyFilter(e.target.dataset.key, e.target.value);
+    });
+
+    render();
+}
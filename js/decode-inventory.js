@@ -0,0 +1,220 @@
+/**
+ * Decode Inventory Module
+ * Lists what the decoders don't know yet: channel setting pairs missing from
+ * the active decoder definitions and component types without a definition,
+ * with counts, raw values and example locations, and writes them as a
+ * decoder definitions file to start new entries from
+ */
+
+import { UNKNOWN_DECODE } from './channel-decoder.js';
+import { hasComponentDecoder } from './component-decoder.js';
+import { DECODER_DEFINITIONS_FORMAT, DECODER_DEFINITIONS_VERSION } from './decoder-definitions.js';
+
+/**
+ * Component types parser.js reads itself rather than through decodeComponent
+ */
+const PARSER_COMPONENT_IDS = new Set([
+    1292, // Alarm
+    2304  // Memory Stored Value
+]);
+
+// Example locations and distinct raw values kept per entry
+const MAX_EXAMPLES = 3;
+const MAX_VALUES = 5;
+
+/**
+ * The raw setting IDs and decoded values per channel side
+ */
+const CHANNEL_SIDES = [
+    {
+        direction: 'input',
+        directionIds: [0, 1], // BOTH, INPUT
+        read: channel => [channel.inMainChannelSettingId, channel.inChannelSettingId,
+            channel.sInMainChannelSettingId, channel.sInChannelSettingId]
+    },
+    {
+        direction: 'output',
+        directionIds: [0, 2], // BOTH, OUTPUT
+        read: channel => [channel.outMainChannelSettingId, channel.outChannelSettingId,
+            channel.sOutMainChannelSettingId, channel.sOutChannelSettingId]
+    }
+];
+
+/**
+ * Add a value to a bounded list of distinct examples
+ */
+function addExample(list, value, max) {
+    if (list.length < max && !list.includes(value)) list.push(value);
+}
+
+/**
+ * Describe where a channel is, prefixed with the file it came from when
+ * several projects are inventoried
+ */
+function channelLocation(source, project, channel) {
+    const unit = project.unitsById.get(channel.unitId);
+    const unitName = unit && unit.name !== 'N/A' ? ` "${unit.name}"` : '';
+    return `${source ? `${source} › ` : ''}Unit ${channel.unitId}${unitName} › Channel ${channel.number}`;
+}
+
+/**
+ * Describe where a schema component is, prefixed like channelLocation
+ */
+function componentLocation(source, component) {
+    return `${source ? `${source} › ` : ''}Schema "${component.schemaName || 'unnamed schema'}" › Component ${component.instanceId}`;
+}
+
+/**
+ * Collect channel setting pairs that decode to an unknown type or subtype
+ */
+function collectChannelSettings(sources, settingsByKey) {
+    sources.forEach(({ name, project }) => {
+        const source = sources.length > 1 ? name : null;
+        project.channels.forEach(channel => {
+            CHANNEL_SIDES.forEach(({ direction, directionIds, read }) => {
+                const [mainId, subId, type, subtype] = read(channel);
+
+                // A bare prefix is an output that isn't configured
+                if (type === UNKNOWN_DECODE) return;
+                if (!type.startsWith(UNKNOWN_DECODE) && !subtype.startsWith(UNKNOWN_DECODE)) return;
+
+                const key = `${direction}:${mainId}:${subId}`;
+                if (!settingsByKey.has(key)) {
+                    settingsByKey.set(key, {
+                        direction,
+                        mainId,
+                        subId,
+                        // The main type is known when only the subtype is missing
+                        type: type.startsWith(UNKNOWN_DECODE) ? null : type,
+                        count: 0,
+                        inUse: 0,
+                        examples: []
+                    });
+                }
+
+                const entry = settingsByKey.get(key);
+                entry.count++;
+                if (directionIds.includes(channel.direction.id)) entry.inUse++;
+                addExample(entry.examples, channelLocation(source, project, channel), MAX_EXAMPLES);
+            });
+        });
+    });
+}
+
+/**
+ * Collect schema components whose type has no decoder
+ */
+function collectComponents(sources, componentsById) {
+    sources.forEach(({ name, project }) => {
+        const source = sources.length > 1 ? name : null;
+        project.schemas.forEach(schema => {
+            schema.components.forEach(component => {
+                const { componentId } = component;
+                if (componentId === null || PARSER_COMPONENT_IDS.has(componentId) || hasComponentDecoder(componentId)) return;
+
+                if (!componentsById.has(componentId)) {
+                    componentsById.set(componentId, {
+                        componentId,
+                        count: 0,
+                        revisions: [],
+                        properties: new Map(),
+                        examples: []
+                    });
+                }
+
+                const entry = componentsById.get(componentId);
+                entry.count++;
+                addExample(entry.revisions, component.componentRevision, Infinity);
+                addExample(entry.examples, componentLocation(source, component), MAX_EXAMPLES);
+
+                component.properties.forEach(({ id, value }) => {
+                    if (!entry.properties.has(id)) entry.properties.set(id, { id, count: 0, values: [] });
+                    const property = entry.properties.get(id);
+                    property.count++;
+                    addExample(property.values, value, MAX_VALUES);
+                });
+            });
+        });
+    });
+}
+
+/**
+ * Build the inventory of unknown decodes for one or more projects
+ * @param {Array<Object>} sources - [{ name, project }]; with several projects the
+ *   name prefixes the example locations
+ * @returns {Object} { sources, channelSettings, components } where
+ *   channelSettings are [{ direction, mainId, subId, type, count, inUse, examples }]
+ *   (type is the known main type when only the subtype is unknown, otherwise null) and
+ *   components are [{ componentId, count, revisions, properties: [{ id, count, values }], examples }],
+ *   both most frequent first
+ */
+export function buildDecodeInventory(sources) {
+    const settingsByKey = new Map();
+    const componentsById = new Map();
+
+    collectChannelSettings(sources, settingsByKey);
+    collectComponents(sources, componentsById);
+
+    const byCount = (a, b) => b.count - a.count;
+
+    return {
+        sources: sources.map(source => source.name),
+        channelSettings: [...settingsByKey.values()].sort(byCount),
+        components: [...componentsById.values()]
+            .map(entry => ({ ...entry, properties: [...entry.properties.values()].sort((a, b) => a.id - b.id) }))
+            .sort(byCount)
+    };
+}
+
+/**
+ * Build the decoder definitions snippet for an inventory
+ * The snippet is a decoder definitions file with empty strings where a name
+ * is still to be filled in and components without field mappings; it loads
+ * once those are completed. evidence holds the counts, raw property values
+ * and example locations behind every entry.
+ * @param {Object} inventory - Result of buildDecodeInventory
+ * @returns {Object} Plain, JSON-serializable snippet
+ */
+export function toDecoderSnippet(inventory) {
+    const settings = { input: {}, output: {} };
+    const settingsEvidence = { input: {}, output: {} };
+
+    inventory.channelSettings.forEach(({ direction, mainId, subId, type, count, inUse, examples }) => {
+        const table = settings[direction];
+        table[mainId] ??= { type: type ?? '', subtypes: {} };
+        table[mainId].subtypes[subId] = '';
+        settingsEvidence[direction][`${mainId}/${subId}`] = { count, inUse, examples };
+    });
+
+    const components = {};
+    const componentEvidence = {};
+    inventory.components.forEach(({ componentId, count, revisions, properties, examples }) => {
+        components[componentId] = {
+            name: '',
+            pgn: 0,
+            fields: {}
+        };
+        componentEvidence[componentId] = {
+            count,
+            revisions,
+            properties: Object.fromEntries(properties.map(({ id, values }) => [id, values])),
+            examples
+        };
+    });
+
+    return {
+        format: DECODER_DEFINITIONS_FORMAT,
+        version: DECODER_DEFINITIONS_VERSION,
+        name: '',
+        generatedAt: new Date().toISOString(),
+        sources: inventory.sources,
+        inputSettings: settings.input,
+        outputSettings: settings.output,
+        components,
+        evidence: {
+            inputSettings: settingsEvidence.input,
+            outputSettings: settingsEvidence.output,
+            components: componentEvidence
+        }
+    };
+}
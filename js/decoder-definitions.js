@@ -0,0 +1,276 @@
+/**
+ * Decoder Definitions Module
+ * Holds the declarative channel setting and component tables the decoders
+ * read: the built-ins from builtin-decoders.js, extended or overridden by
+ * user definition files. The format is described by schema/decoders.schema.json.
+ *
+ * Each JS context (page, parse worker, CLI) keeps its own active set, so the
+ * user files are handed to the parse worker with every parse.
+ */
+
+import { BUILTIN_DECODERS } from './builtin-decoders.js';
+
+/**
+ * Format identifier of decoder definition files
+ */
+export const DECODER_DEFINITIONS_FORMAT = 'ebp2docs-decoders';
+
+/**
+ * Current definition format version
+ */
+export const DECODER_DEFINITIONS_VERSION = 1;
+
+/**
+ * Component result fields a definition can map
+ */
+const COMPONENT_FIELDS = ['instance', 'id', 'direction', 'device'];
+
+// User definition files in load order: [{ name, definitions }]
+let userDefinitions = [];
+
+// Built-ins merged with every user file
+let activeDefinitions = BUILTIN_DECODERS;
+
+/**
+ * Get the definitions the decoders currently use
+ * @returns {Object} Merged definitions
+ */
+export function getDecoderDefinitions() {
+    return activeDefinitions;
+}
+
+/**
+ * Get the user definition files currently applied
+ * @returns {Array<Object>} [{ name, definitions }]
+ */
+export function getUserDecoderDefinitions() {
+    return userDefinitions;
+}
+
+/**
+ * Replace the user definition files
+ * Files are applied in order on top of the built-ins; later files win.
+ * @param {Array<Object>} files - [{ name, definitions }]
+ * @throws {Error} If a file is invalid; the previous files stay active
+ */
+export function setUserDecoderDefinitions(files) {
+    let merged = BUILTIN_DECODERS;
+
+    files.forEach(({ name, definitions }) => {
+        const errors = validateDecoderDefinitions(definitions, merged);
+        if (errors.length > 0) {
+            throw new Error(`${name}: ${errors.join('; ')}`);
+        }
+        merged = mergeDecoderDefinitions(merged, definitions);
+    });
+
+    userDefinitions = files;
+    activeDefinitions = merged;
+}
+
+/**
+ * Read a decoder definition file
+ * @param {string} jsonString - File content
+ * @returns {Object} Definitions
+ * @throws {Error} If the content isn't JSON
+ */
+export function parseDecoderDefinitions(jsonString) {
+    try {
+        return JSON.parse(jsonString);
+    } catch (error) {
+        throw new Error(`Invalid decoder definitions JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Check that an object key is a numeric ID
+ */
+function isIdKey(key) {
+    return /^\d+$/.test(String(key));
+}
+
+/**
+ * Check that a value is a non-empty string
+ */
+function isName(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Check that a value is a plain object
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate one channel settings table (inputSettings or outputSettings)
+ */
+function validateSettings(table, baseTable, label, errors) {
+    if (!isObject(table)) {
+        errors.push(`${label} must be an object`);
+        return;
+    }
+
+    Object.entries(table).forEach(([mainId, setting]) => {
+        const where = `${label} ${mainId}`;
+        if (!isIdKey(mainId)) errors.push(`${where}: setting IDs must be numbers`);
+        if (!isObject(setting)) {
+            errors.push(`${where} must be an object`);
+            return;
+        }
+
+        // A type can be left out when only subtypes are added to a known setting
+        if (setting.type === undefined ? !baseTable[mainId] : !isName(setting.type)) {
+            errors.push(`${where} needs a type`);
+        }
+        if (setting.subtype !== undefined && !isName(setting.subtype)) {
+            errors.push(`${where}: subtype must be a name`);
+        }
+        if (setting.subtypes !== undefined) {
+            if (!isObject(setting.subtypes)) {
+                errors.push(`${where}: subtypes must be an object`);
+            } else {
+                Object.entries(setting.subtypes).forEach(([subId, subtype]) => {
+                    if (!isIdKey(subId)) errors.push(`${where}: subtype IDs must be numbers`);
+                    if (!isName(subtype)) errors.push(`${where} subtype ${subId} needs a name`);
+                });
+            }
+        }
+    });
+}
+
+/**
+ * Validate a component field: a constant or { property, enum, offset, unknown }
+ */
+function validateField(spec, enums, where, errors) {
+    if (!isObject(spec)) {
+        if (typeof spec !== 'string' && typeof spec !== 'number') {
+            errors.push(`${where} must be a constant or a property mapping`);
+        }
+        return;
+    }
+
+    if (!Number.isInteger(spec.property) || spec.property < 0) {
+        errors.push(`${where}: property must be a property ID`);
+    }
+    if (spec.enum !== undefined && !(spec.enum in enums)) {
+        errors.push(`${where}: unknown enum "${spec.enum}"`);
+    }
+    if (spec.offset !== undefined && typeof spec.offset !== 'number') {
+        errors.push(`${where}: offset must be a number`);
+    }
+}
+
+/**
+ * Validate decoder definitions
+ * @param {Object} definitions - Definitions to check
+ * @param {Object} base - Definitions they extend (defaults to the built-ins)
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateDecoderDefinitions(definitions, base = BUILTIN_DECODERS) {
+    if (!isObject(definitions) || definitions.format !== DECODER_DEFINITIONS_FORMAT) {
+        return ['Not an ebp2docs decoder definitions file'];
+    }
+    if (!Number.isInteger(definitions.version) || definitions.version > DECODER_DEFINITIONS_VERSION) {
+        return [`Unsupported decoder definitions version ${definitions.version} (supported up to ${DECODER_DEFINITIONS_VERSION})`];
+    }
+
+    const errors = [];
+    const { enums = {}, inputSettings = {}, outputSettings = {}, components = {} } = definitions;
+
+    if (!isObject(enums)) {
+        errors.push('enums must be an object');
+    } else {
+        Object.entries(enums).forEach(([name, table]) => {
+            if (!Array.isArray(table) && !isObject(table)) errors.push(`enum "${name}" must be an array or an object`);
+        });
+    }
+
+    validateSettings(inputSettings, base.inputSettings, 'input setting', errors);
+    validateSettings(outputSettings, base.outputSettings, 'output setting', errors);
+
+    if (!isObject(components)) {
+        errors.push('components must be an object');
+        return errors;
+    }
+
+    const knownEnums = { ...base.enums, ...(isObject(enums) ? enums : {}) };
+    Object.entries(components).forEach(([componentId, component]) => {
+        const where = `component ${componentId}`;
+        if (!isIdKey(componentId)) errors.push(`${where}: component IDs must be numbers`);
+        if (!isObject(component)) {
+            errors.push(`${where} must be an object`);
+            return;
+        }
+
+        if (!isName(component.name)) errors.push(`${where} needs a name`);
+        // The PGN is fixed or read from a property
+        if (isObject(component.pgn)) {
+            validateField(component.pgn, knownEnums, `${where} pgn`, errors);
+        } else if (!Number.isInteger(component.pgn)) {
+            errors.push(`${where} needs a PGN`);
+        }
+
+        const fields = component.fields ?? {};
+        if (!isObject(fields)) {
+            errors.push(`${where}: fields must be an object`);
+            return;
+        }
+        Object.entries(fields).forEach(([field, spec]) => {
+            if (!COMPONENT_FIELDS.includes(field)) {
+                errors.push(`${where}: unknown field "${field}" (expected ${COMPONENT_FIELDS.join(', ')})`);
+                return;
+            }
+            validateField(spec, knownEnums, `${where} ${field}`, errors);
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Merge one channel settings table into another
+ * Subtypes of a setting that exists in both are combined; a fixed subtype
+ * replaces the subtype list and the other way round.
+ */
+function mergeSettings(baseTable, table = {}) {
+    const merged = { ...baseTable };
+
+    Object.entries(table).forEach(([mainId, setting]) => {
+        const previous = baseTable[mainId];
+        if (!previous) {
+            merged[mainId] = setting;
+            return;
+        }
+
+        const type = setting.type ?? previous.type;
+        if (setting.subtype !== undefined) {
+            merged[mainId] = { type, subtype: setting.subtype };
+        } else if (setting.subtypes !== undefined) {
+            merged[mainId] = { type, subtypes: { ...(previous.subtypes ?? {}), ...setting.subtypes } };
+        } else {
+            merged[mainId] = { ...previous, type };
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Apply definitions on top of a base set
+ * Enums and components with the same name or ID are replaced; channel
+ * settings are merged per setting (see mergeSettings).
+ * @param {Object} base - Base definitions
+ * @param {Object} definitions - Definitions that extend or override the base
+ * @returns {Object} Merged definitions
+ */
+export function mergeDecoderDefinitions(base, definitions) {
+    return {
+        ...base,
+        enums: { ...base.enums, ...definitions.enums },
+        inputSettings: mergeSettings(base.inputSettings, definitions.inputSettings),
+        outputSettings: mergeSettings(base.outputSettings, definitions.outputSettings),
+        components: { ...base.components, ...definitions.components }
+    };
+}
@@ -0,0 +1,152 @@
+/**
+ * J1939 Catalog Module
+ * Names, source address semantics and signals of the J1939 PGNs EmpirBus
+ * components carry. Looked up by PGN, so every component whose PGN is in the
+ * catalog is described, whatever decoder produced it.
+ */
+
+/**
+ * The four signals of every J1939-75 "Basic AC Quantities" PGN
+ */
+function basicAcSignals(prefix) {
+    return [
+        { name: `${prefix} Line-Line AC RMS Voltage`, unit: 'V' },
+        { name: `${prefix} Line-Neutral AC RMS Voltage`, unit: 'V' },
+        { name: `${prefix} AC Frequency`, unit: 'Hz' },
+        { name: `${prefix} AC RMS Current`, unit: 'A' }
+    ];
+}
+
+const GENERATOR_SOURCE = 'Generator set controller';
+const PARALLELING_SOURCE = 'Generator set or paralleling controller';
+const ENGINE_SOURCE = 'Engine controller (0 = engine #1, 1 = engine #2)';
+
+/**
+ * J1939 PGNs by number: { acronym, name, source, signals: [{ name, unit }] }
+ * source describes which ECU is expected at the transmitting source address.
+ */
+export const J1939_PGNS = new Map([
+    // Generator AC (J1939-75)
+    [65030, { acronym: 'GAAC', name: 'Generator Average Basic AC Quantities', source: GENERATOR_SOURCE, signals: basicAcSignals('Generator Average') }],
+    [65027, { acronym: 'GPAAC', name: 'Generator Phase A Basic AC Quantities', source: GENERATOR_SOURCE, signals: basicAcSignals('Generator Phase A') }],
+    [65024, { acronym: 'GPBAC', name: 'Generator Phase B Basic AC Quantities', source: GENERATOR_SOURCE, signals: basicAcSignals('Generator Phase B') }],
+    [65021, { acronym: 'GPCAC', name: 'Generator Phase C Basic AC Quantities', source: GENERATOR_SOURCE, signals: basicAcSignals('Generator Phase C') }],
+
+    // Utility (mains) AC
+    [65017, { acronym: 'UAAC', name: 'Utility Average Basic AC Quantities', source: PARALLELING_SOURCE, signals: basicAcSignals('Utility Average') }],
+    [65014, { acronym: 'UPAAC', name: 'Utility Phase A Basic AC Quantities', source: PARALLELING_SOURCE, signals: basicAcSignals('Utility Phase A') }],
+    [65011, { acronym: 'UPBAC', name: 'Utility Phase B Basic AC Quantities', source: PARALLELING_SOURCE, signals: basicAcSignals('Utility Phase B') }],
+    [65008, { acronym: 'UPCAC', name: 'Utility Phase C Basic AC Quantities', source: PARALLELING_SOURCE, signals: basicAcSignals('Utility Phase C') }],
+
+    // Bus #1 AC
+    [65004, { acronym: 'BAAC', name: 'Bus #1 Average Basic AC Quantities', source: PARALLELING_SOURCE, signals: basicAcSignals('Bus #1 Average') }],
+    [65003, { acronym: 'BPAAC', name: 'Bus #1 Phase A Basic AC Quantities', source: PARALLELING_SOURCE, signals: basicAcSignals('Bus #1 Phase A') }],
+    [65002, { acronym: 'BPBAC', name: 'Bus #1 Phase B Basic AC Quantities', source: PARALLELING_SOURCE, signals: basicAcSignals('Bus #1 Phase B') }],
+    [65001, { acronym: 'BPCAC', name: 'Bus #1 Phase C Basic AC Quantities', source: PARALLELING_SOURCE, signals: basicAcSignals('Bus #1 Phase C') }],
+
+    // Engine (J1939-71)
+    [61444, {
+        acronym: 'EEC1',
+        name: 'Electronic Engine Controller 1',
+        source: ENGINE_SOURCE,
+        signals: [
+            { name: 'Engine Torque Mode', unit: '' },
+            { name: 'Driver\'s Demand Engine - Percent Torque', unit: '%' },
+            { name: 'Actual Engine - Percent Torque', unit: '%' },
+            { name: 'Engine Speed', unit: 'rpm' }
+        ]
+    }],
+    [65253, {
+        acronym: 'HOURS',
+        name: 'Engine Hours, Revolutions',
+        source: ENGINE_SOURCE,
+        signals: [
+            { name: 'Engine Total Hours of Operation', unit: 'h' },
+            { name: 'Engine Total Revolutions', unit: 'r' }
+        ]
+    }],
+    [65262, {
+        acronym: 'ET1',
+        name: 'Engine Temperature 1',
+        source: ENGINE_SOURCE,
+        signals: [
+            { name: 'Engine Coolant Temperature', unit: '°C' },
+            { name: 'Engine Fuel Temperature 1', unit: '°C' },
+            { name: 'Engine Oil Temperature 1', unit: '°C' }
+        ]
+    }],
+    [65263, {
+        acronym: 'EFL/P1',
+        name: 'Engine Fluid Level/Pressure 1',
+        source: ENGINE_SOURCE,
+        signals: [
+            { name: 'Engine Fuel Delivery Pressure', unit: 'kPa' },
+            { name: 'Engine Oil Level', unit: '%' },
+            { name: 'Engine Oil Pressure', unit: 'kPa' },
+            { name: 'Engine Coolant Pressure', unit: 'kPa' },
+            { name: 'Engine Coolant Level', unit: '%' }
+        ]
+    }],
+    [65266, {
+        acronym: 'LFE',
+        name: 'Fuel Economy (Liquid)',
+        source: ENGINE_SOURCE,
+        signals: [
+            { name: 'Engine Fuel Rate', unit: 'L/h' },
+            { name: 'Engine Instantaneous Fuel Economy', unit: 'km/L' },
+            { name: 'Engine Average Fuel Economy', unit: 'km/L' },
+            { name: 'Engine Throttle Valve 1 Position', unit: '%' }
+        ]
+    }],
+    [65270, {
+        acronym: 'IC1',
+        name: 'Inlet/Exhaust Conditions 1',
+        source: ENGINE_SOURCE,
+        signals: [
+            { name: 'Engine Intake Manifold 1 Pressure', unit: 'kPa' },
+            { name: 'Engine Intake Manifold 1 Temperature', unit: '°C' },
+            { name: 'Engine Air Inlet Pressure', unit: 'kPa' },
+            { name: 'Engine Exhaust Gas Temperature', unit: '°C' }
+        ]
+    }],
+
+    // Diagnostics (J1939-73)
+    [65226, {
+        acronym: 'DM1',
+        name: 'Active Diagnostic Trouble Codes',
+        source: 'Any ECU, reporting its own faults',
+        signals: [
+            { name: 'Lamp Status', unit: '' },
+            { name: 'Suspect Parameter Number (SPN)', unit: '' },
+            { name: 'Failure Mode Identifier (FMI)', unit: '' },
+            { name: 'Occurrence Count', unit: '' }
+        ]
+    }]
+]);
+
+/**
+ * Look up a J1939 PGN
+ * @param {number} pgn - PGN number
+ * @returns {Object|null} Catalog entry or null when the PGN isn't a cataloged J1939 PGN
+ */
+export function getJ1939Pgn(pgn) {
+    return J1939_PGNS.get(pgn) ?? null;
+}
+
+/**
+ * Label a cataloged PGN as "ACRONYM - Name"
+ * @param {Object} entry - Catalog entry
+ * @returns {string} Label
+ */
+export function formatJ1939Name(entry) {
+    return `${entry.acronym} - ${entry.name}`;
+}
+
+/**
+ * List the signals of a cataloged PGN with their units
+ * @param {Object} entry - Catalog entry
+ * @returns {string} e.g. "Engine Speed (rpm), Engine Torque Mode"
+ */
+export function formatJ1939Signals(entry) {
+    return entry.signals.map(({ name, unit }) => (unit ? `${name} (${unit})` : name)).join(', ');
+}
@@ -0,0 +1,261 @@
+/**
+ * Labels Module
+ * Wire marker labels for the channels of the parsed units: one text per
+ * channel from a template such as "{unitId}-{channel} {name}", laid out on
+ * label stock (rows x columns on a page, sizes and margins in mm) and
+ * rendered as SVG sheets or as pages for the print flow.
+ */
+
+import { escapeHtml } from './utils.js';
+import { getVisibleChannelGroups } from './ui.js';
+import { getUnitType } from './unit-types.js';
+
+/**
+ * Label stock
+ * @typedef {Object} LabelStock
+ * @property {string} name - Display name
+ * @property {number} pageWidth - Page width in mm
+ * @property {number} pageHeight - Page height in mm
+ * @property {number} columns - Labels across the page
+ * @property {number} rows - Labels down the page
+ * @property {number} labelWidth - Label width in mm
+ * @property {number} labelHeight - Label height in mm
+ * @property {number} marginTop - Distance from the top edge to the first row in mm
+ * @property {number} marginLeft - Distance from the left edge to the first column in mm
+ * @property {number} gapX - Space between columns in mm
+ * @property {number} gapY - Space between rows in mm
+ */
+
+/**
+ * Built-in label stocks, keyed by ID
+ * @type {Map<string, LabelStock>}
+ */
+export const LABEL_STOCKS = new Map([
+    ['heat-shrink-4x25', {
+        name: 'Heat-shrink sleeves, 4 × 25 markers 40 × 9 mm (A4)',
+        pageWidth: 210, pageHeight: 297, columns: 4, rows: 25, labelWidth: 40, labelHeight: 9,
+        marginTop: 18, marginLeft: 17.5, gapX: 5, gapY: 1.5
+    }],
+    ['a4-4x16', {
+        name: 'A4 sheet, 4 × 16 labels 48.5 × 16.9 mm',
+        pageWidth: 210, pageHeight: 297, columns: 4, rows: 16, labelWidth: 48.5, labelHeight: 16.9,
+        marginTop: 13.3, marginLeft: 8, gapX: 0, gapY: 0
+    }],
+    ['a4-3x8', {
+        name: 'A4 sheet, 3 × 8 labels 70 × 37 mm',
+        pageWidth: 210, pageHeight: 297, columns: 3, rows: 8, labelWidth: 70, labelHeight: 37,
+        marginTop: 0.5, marginLeft: 0, gapX: 0, gapY: 0
+    }],
+    ['letter-3x10', {
+        name: 'US Letter sheet, 3 × 10 labels 66.7 × 25.4 mm',
+        pageWidth: 215.9, pageHeight: 279.4, columns: 3, rows: 10, labelWidth: 66.7, labelHeight: 25.4,
+        marginTop: 12.7, marginLeft: 4.8, gapX: 3.2, gapY: 0
+    }]
+]);
+
+/**
+ * Fields a label template can use, as {field}
+ */
+export const LABEL_TEMPLATE_FIELDS = ['unitId', 'unitName', 'unitType', 'location', 'group', 'channel', 'name', 'direction', 'io'];
+
+/**
+ * Template used until the user picks another
+ */
+export const DEFAULT_LABEL_TEMPLATE = '{unitId}-{channel} {name}';
+
+/**
+ * Inner space kept free on each side of the text, in mm
+ */
+const LABEL_PADDING = 1;
+
+/**
+ * Average character width as a share of the font size, to shrink long texts
+ */
+const CHARACTER_WIDTH = 0.6;
+
+/**
+ * Fields of a template that aren't in LABEL_TEMPLATE_FIELDS
+ * @param {string} template - Label template
+ * @returns {Array<string>} Unknown field names, empty when the template is valid
+ */
+export function getUnknownTemplateFields(template) {
+    const fields = Array.from(template.matchAll(/\{(\w*)\}/g), match => match[1]);
+    return [...new Set(fields.filter(field => !LABEL_TEMPLATE_FIELDS.includes(field)))];
+}
+
+/**
+ * Fill in a label template
+ * Unknown fields are left as written, so a typo shows on the label.
+ * @param {string} template - Label template
+ * @param {Object} fields - Values by field name
+ * @returns {string} Label text
+ */
+export function formatLabel(template, fields) {
+    return template
+        .replace(/\{(\w*)\}/g, (match, field) => (field in fields ? String(fields[field] ?? '') : match))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Build the labels of the visible channels of the selected units
+ * Units whose channels aren't physical IO get no labels.
+ * @param {Array} units - Units from parseProject
+ * @param {Object} options - { template, unitIds, locationsByUnitId, copies, skipUnnamed }:
+ *   unitIds limits the units (all when null), copies repeats each label (e.g. 2 for
+ *   both ends of a wire) and skipUnnamed leaves out channels without a name
+ * @returns {Array<Object>} [{ text, unitId, channel }] in unit and channel order
+ */
+export function collectLabels(units, { template = DEFAULT_LABEL_TEMPLATE, unitIds = null, locationsByUnitId = {}, copies = 1, skipUnnamed = false } = {}) {
+    const selected = unitIds ? new Set(unitIds.map(String)) : null;
+    const labels = [];
+
+    units.forEach(unit => {
+        if (selected && !selected.has(String(unit.id))) return;
+        if (!getUnitType(unit.unitTypeId).physicalChannels) return;
+
+        getVisibleChannelGroups(unit.channels, unit.unitTypeId).forEach((group, groupIndex) => {
+            group.channels.forEach(channel => {
+                if (skipUnnamed && !channel.name) return;
+
+                const text = formatLabel(template, {
+                    unitId: unit.id,
+                    unitName: unit.name,
+                    unitType: getUnitType(unit.unitTypeId).name,
+                    location: locationsByUnitId[String(unit.id)] ?? '',
+                    group: groupIndex + 1,
+                    channel: channel.number,
+                    name: channel.name,
+                    direction: channel.direction.name,
+                    io: channel.direction.id === 1 ? 'I' : channel.direction.id === 2 ? 'O' : ''
+                });
+                for (let copy = 0; copy < copies; copy++) {
+                    labels.push({ text, unitId: unit.id, channel: channel.number });
+                }
+            });
+        });
+    });
+
+    return labels;
+}
+
+/**
+ * Check a label stock
+ * @param {LabelStock} stock - Label stock
+ * @returns {Array<string>} Error messages, empty when the labels fit the page
+ */
+export function validateLabelStock(stock) {
+    const errors = [];
+    const sizes = ['pageWidth', 'pageHeight', 'labelWidth', 'labelHeight'];
+    const offsets = ['marginTop', 'marginLeft', 'gapX', 'gapY'];
+
+    sizes.forEach(key => {
+        if (!(stock[key] > 0)) errors.push(`${key} must be a positive number`);
+    });
+    offsets.forEach(key => {
+        if (!(stock[key] >= 0)) errors.push(`${key} must be zero or more`);
+    });
+    ['columns', 'rows'].forEach(key => {
+        if (!Number.isInteger(stock[key]) || stock[key] < 1) errors.push(`${key} must be a whole number of at least 1`);
+    });
+    if (errors.length > 0) return errors;
+
+    // Rounding in published stock sizes is allowed for
+    const width = stock.marginLeft + stock.columns * stock.labelWidth + (stock.columns - 1) * stock.gapX;
+    const height = stock.marginTop + stock.rows * stock.labelHeight + (stock.rows - 1) * stock.gapY;
+    if (width > stock.pageWidth + 0.5) errors.push(`${stock.columns} columns need ${width.toFixed(1)} mm but the page is ${stock.pageWidth} mm wide`);
+    if (height > stock.pageHeight + 0.5) errors.push(`${stock.rows} rows need ${height.toFixed(1)} mm but the page is ${stock.pageHeight} mm high`);
+
+    return errors;
+}
+
+/**
+ * Font size that fits a text on one label line, in mm
+ */
+function fitFontSize(text, stock) {
+    const size = Math.min(stock.labelHeight * 0.45, 5);
+    const available = stock.labelWidth - 2 * LABEL_PADDING;
+    const needed = text.length * CHARACTER_WIDTH * size;
+    return needed > available ? Math.max(size * available / needed, 1) : size;
+}
+
+/**
+ * Lay labels out on pages, filling each page row by row
+ * @param {Array<Object>} labels - Labels from collectLabels
+ * @param {LabelStock} stock - Label stock (see validateLabelStock)
+ * @returns {Array<Array<Object>>} Pages of [{ text, x, y, fontSize }], positions in mm
+ *   from the top left corner of the page
+ */
+export function layoutLabels(labels, stock) {
+    const perPage = stock.columns * stock.rows;
+    const pages = [];
+
+    labels.forEach((label, index) => {
+        const slot = index % perPage;
+        if (slot === 0) pages.push([]);
+
+        const column = slot % stock.columns;
+        const row = Math.floor(slot / stock.columns);
+        pages[pages.length - 1].push({
+            text: label.text,
+            x: stock.marginLeft + column * (stock.labelWidth + stock.gapX),
+            y: stock.marginTop + row * (stock.labelHeight + stock.gapY),
+            fontSize: fitFontSize(label.text, stock)
+        });
+    });
+
+    return pages;
+}
+
+/**
+ * Round a length in mm for the output
+ */
+function mm(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Render one page of labels as an SVG document in mm
+ * @param {Array<Object>} page - One page from layoutLabels
+ * @param {LabelStock} stock - Label stock
+ * @param {Object} options - { outlines }: draw the label edges, e.g. for plain paper
+ * @returns {string} SVG document
+ */
+export function renderLabelSheetSvg(page, stock, { outlines = false } = {}) {
+    let svg = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    svg += `<svg xmlns="http://www.w3.org/2000/svg" width="${mm(stock.pageWidth)}mm" height="${mm(stock.pageHeight)}mm" viewBox="0 0 ${mm(stock.pageWidth)} ${mm(stock.pageHeight)}">\n`;
+    svg += '<g font-family="Arial, Helvetica, sans-serif" text-anchor="middle" dominant-baseline="central" fill="#000">\n';
+
+    page.forEach(({ text, x, y, fontSize }) => {
+        if (outlines) {
+            svg += `<rect x="${mm(x)}" y="${mm(y)}" width="${mm(stock.labelWidth)}" height="${mm(stock.labelHeight)}" fill="none" stroke="#bbb" stroke-width="0.2"/>\n`;
+        }
+        svg += `<text x="${mm(x + stock.labelWidth / 2)}" y="${mm(y + stock.labelHeight / 2)}" font-size="${mm(fontSize)}">${escapeHtml(text)}</text>\n`;
+    });
+
+    svg += '</g>\n</svg>\n';
+    return svg;
+}
+
+/**
+ * Render the label pages for the print flow
+ * Each page is sized to the stock and the @page rule removes the printer
+ * margin, so labels land on the stock when printed at 100%.
+ * @param {Array<Array<Object>>} pages - Pages from layoutLabels
+ * @param {LabelStock} stock - Label stock
+ * @param {Object} options - { outlines }: draw the label edges
+ * @returns {string} HTML string
+ */
+export function renderLabelPrintPages(pages, stock, { outlines = false } = {}) {
+    let html = `<style>@page { size: ${mm(stock.pageWidth)}mm ${mm(stock.pageHeight)}mm; margin: 0; }</style>`;
+
+    pages.forEach(page => {
+        html += `<div class="print-label-page" style="width: ${mm(stock.pageWidth)}mm; height: ${mm(stock.pageHeight)}mm;">`;
+        page.forEach(({ text, x, y, fontSize }) => {
+            html += `<div class="print-label${outlines ? ' outlined' : ''}" style="left: ${mm(x)}mm; top: ${mm(y)}mm; width: ${mm(stock.labelWidth)}mm; height: ${mm(stock.labelHeight)}mm; font-size: ${mm(fontSize)}mm;">${escapeHtml(text)}</div>`;
+        });
+        html += '</div>';
+    });
+
+    return html;
+}
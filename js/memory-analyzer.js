@@ -0,0 +1,159 @@
+/**
+ * Memory Analyzer Module
+ * Detects colliding Memory Stored Value (2304) allocations and maps the
+ * used and free locations of the stored-value address space
+ */
+
+/**
+ * Bits per memory location. Locations are byte addresses, so a UWord
+ * occupies two consecutive locations and a UDWord four; a Bit or UByte
+ * occupies exactly one.
+ */
+const BITS_PER_LOCATION = 8;
+
+/**
+ * Number of locations an allocation occupies
+ * @param {Object} allocation - Memory entry from parseMemory
+ * @returns {number} Span in locations (at least 1)
+ */
+export function getLocationSpan(allocation) {
+    return Math.max(1, Math.ceil(allocation.bits / BITS_PER_LOCATION));
+}
+
+/**
+ * Find every pair of memory allocations that share locations
+ * Two allocations conflict when they start at the same location
+ * ('same-location') or when a wider allocation runs into its neighbour
+ * ('overlap', e.g. a UDWord at 10 covers 10-13 and clashes with a UByte at 12).
+ * Allocations without a location can't be checked and are ignored.
+ * @param {Array} memory - Memory entries from parseMemory
+ * @returns {Object} { conflicts, conflicting } - conflicts is an array of
+ *   { kind, first, second, start, end } where start/end is the shared range;
+ *   conflicting is a Set of the memory entries involved in any conflict
+ */
+export function analyzeMemory(memory) {
+    const allocations = memory
+        .filter(allocation => Number.isInteger(allocation.location))
+        .map(allocation => ({
+            allocation,
+            start: allocation.location,
+            end: allocation.location + getLocationSpan(allocation) - 1
+        }))
+        .sort((a, b) => a.start - b.start || b.end - a.end);
+
+    const conflicts = [];
+    const conflicting = new Set();
+    let active = [];
+
+    // Sweep by start location, keeping the allocations still "open" at that point
+    allocations.forEach(current => {
+        active = active.filter(open => open.end >= current.start);
+
+        active.forEach(open => {
+            conflicts.push({
+                kind: open.start === current.start ? 'same-location' : 'overlap',
+                first: open.allocation,
+                second: current.allocation,
+                start: current.start,
+                end: Math.min(open.end, current.end)
+            });
+            conflicting.add(open.allocation);
+            conflicting.add(current.allocation);
+        });
+
+        active.push(current);
+    });
+
+    return { conflicts, conflicting };
+}
+
+/**
+ * Describe a memory conflict in one line
+ * @param {Object} conflict - Conflict from analyzeMemory
+ * @returns {string} Human-readable description
+ */
+export function describeMemoryConflict(conflict) {
+    const { kind, first, second, start, end } = conflict;
+    const range = start === end ? `location ${start}` : `locations ${start}-${end}`;
+    const describe = allocation => `${allocation.type} at ${allocation.location} (${allocation.tabName || 'unnamed schema'})`;
+
+    return kind === 'same-location'
+        ? `${describe(first)} and ${describe(second)} use the same ${range}`
+        : `${describe(first)} overlaps ${describe(second)} on ${range}`;
+}
+
+/**
+ * Data widths new allocations can have, with the locations they occupy
+ */
+export const MEMORY_WIDTHS = [
+    { type: 'Bit', span: 1 },
+    { type: 'UByte', span: 1 },
+    { type: 'UWord', span: 2 },
+    { type: 'UDWord', span: 4 }
+];
+
+/**
+ * Locations per row of the memory map
+ */
+export const MEMORY_MAP_COLUMNS = 32;
+
+/**
+ * Find the first free run of locations for each data width
+ * Allocations without a location are ignored; the address space has no known
+ * end, so a run after the last allocation is always found.
+ * @param {Array} memory - Memory entries from parseMemory
+ * @returns {Array<Object>} [{ type, span, start, end }] in MEMORY_WIDTHS order
+ */
+export function findFreeBlocks(memory) {
+    const used = new Set();
+    memory
+        .filter(allocation => Number.isInteger(allocation.location) && allocation.location >= 0)
+        .forEach(allocation => {
+            for (let i = 0; i < getLocationSpan(allocation); i++) used.add(allocation.location + i);
+        });
+
+    return MEMORY_WIDTHS.map(({ type, span }) => {
+        let start = 0;
+        for (let location = 0; location - start < span; location++) {
+            if (used.has(location)) start = location + 1;
+        }
+        return { type, span, start, end: start + span - 1 };
+    });
+}
+
+/**
+ * Build the memory map: the allocations covering each location
+ * Only rows holding an allocation or a suggested free block are built, so a
+ * stray high location doesn't blow the map up; the rows in between are free.
+ * @param {Array} memory - Memory entries from parseMemory
+ * @returns {Object} { rows, freeBlocks } - rows are [{ start, cells }] in location
+ *   order, MEMORY_MAP_COLUMNS locations each, where cells[offset] is the array of
+ *   allocations covering location start + offset (empty when free, more than one
+ *   on an overlap); freeBlocks is the result of findFreeBlocks
+ */
+export function buildMemoryMap(memory) {
+    const located = memory.filter(allocation => Number.isInteger(allocation.location) && allocation.location >= 0);
+    const freeBlocks = findFreeBlocks(located);
+    const rowsByStart = new Map();
+    const getRow = location => {
+        const start = location - (location % MEMORY_MAP_COLUMNS);
+        if (!rowsByStart.has(start)) {
+            rowsByStart.set(start, { start, cells: Array.from({ length: MEMORY_MAP_COLUMNS }, () => []) });
+        }
+        return rowsByStart.get(start);
+    };
+
+    located.forEach(allocation => {
+        for (let i = 0; i < getLocationSpan(allocation); i++) {
+            const location = allocation.location + i;
+            getRow(location).cells[location % MEMORY_MAP_COLUMNS].push(allocation);
+        }
+    });
+    freeBlocks.forEach(block => {
+        getRow(block.start);
+        getRow(block.end);
+    });
+
+    const rows = Array.from(rowsByStart.values()).sort((a, b) => a.start - b.start);
+    return { rows, freeBlocks };
+}
@@ -0,0 +1,81 @@
+/**
+ * NMEA 2000 Analyzer Module
+ * Detects transmitted components that claim the same PGN instance
+ */
+
+/**
+ * PGNs where the component ID is part of the identity on the bus:
+ * - 127501/127502: a bank is shared, the switch/indicator number must be unique
+ * - 130312: temperature instances are qualified by their source
+ * For every other PGN the instance alone identifies the transmitted data.
+ */
+const ID_QUALIFIED_PGNS = new Set([127501, 127502, 130312]);
+
+/**
+ * Build the bus identity key of a transmitted component
+ * @param {Object} component - Component from parseComponents
+ * @returns {string} Key of PGN, device, instance (and ID where relevant)
+ */
+function getCollisionKey(component) {
+    const parts = [component.pgn, component.device, component.instance];
+    if (ID_QUALIFIED_PGNS.has(component.pgn)) {
+        parts.push(component.id);
+    }
+    return parts.join('|');
+}
+
+/**
+ * Find transmitted components that share PGN + device + instance (+ ID)
+ * Received components and components without an instance are ignored.
+ * @param {Array} components - Components from parseComponents
+ * @returns {Object} { collisions, conflicting } - collisions is an array of
+ *   { pgn, name, device, instance, id, components }; conflicting is a Set of
+ *   the components involved in any collision
+ */
+export function analyzeN2kCollisions(components) {
+    const groups = new Map();
+
+    components
+        .filter(component => component.direction === 'transmit' && component.instance !== null)
+        .forEach(component => {
+            const key = getCollisionKey(component);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(component);
+        });
+
+    const collisions = [];
+    const conflicting = new Set();
+
+    groups.forEach(group => {
+        if (group.length < 2) return;
+
+        const [first] = group;
+        collisions.push({
+            pgn: first.pgn,
+            name: first.name,
+            device: first.device,
+            instance: first.instance,
+            id: ID_QUALIFIED_PGNS.has(first.pgn) ? first.id : null,
+            components: group
+        });
+        group.forEach(component => conflicting.add(component));
+    });
+
+    return { collisions, conflicting };
+}
+
+/**
+ * Describe an NMEA 2000 collision in one line
+ * @param {Object} collision - Collision from analyzeN2kCollisions
+ * @returns {string} Human-readable description
+ */
+export function describeN2kCollision(collision) {
+    const { pgn, name, device, instance, id, components } = collision;
+    const qualifier = id !== null && id !== '' ? ` ID ${id}` : '';
+    const onDevice = device !== null && device !== -1 ? ` on device ${device}` : '';
+    const where = components
+        .map(component => `${component.name}${component.id ? ` (${component.id})` : ''} in ${component.tabName || 'unnamed schema'}`)
+        .join(', ');
+
+    return `${name} PGN ${pgn} instance ${instance}${qualifier}${onDevice} is transmitted ${components.length} times: ${where}`;
+}
@@ -0,0 +1,90 @@
+/**
+ * Parse Client Module
+ * Main-thread side of the parse worker: starts a parse, relays progress
+ * and cancels the running parse when a new one is started.
+ */
+
+import { parseProject } from './parser.js';
+import { getUserDecoderDefinitions } from './decoder-definitions.js';
+
+// The worker/promise pair of the parse currently in flight
+let activeParse = null;
+
+/**
+ * Parse a project in a Web Worker
+ * Starting a new parse cancels the previous one. If the worker cannot be
+ * started (e.g. no module worker support) the parse runs on the main thread.
+ * @param {string} xmlString - XML content as string
+ * @param {Object} options - Optional { onProgress }
+ * @param {Function} options.onProgress - Called with { stage, completed, total }
+ * @returns {Promise<Object>} Project model; rejects with an AbortError when cancelled
+ */
+export function parseProjectInWorker(xmlString, { onProgress } = {}) {
+    cancelParse();
+
+    return new Promise((resolve, reject) => {
+        let worker;
+        try {
+            worker = new Worker(new URL('./parse-worker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            console.warn('Parse worker unavailable, parsing on the main thread:', error);
+            parseProject(xmlString, { onProgress }).then(resolve, reject);
+            return;
+        }
+
+        const parse = { worker, reject };
+        activeParse = parse;
+        let started = false;
+
+        const finish = () => {
+            worker.terminate();
+            if (activeParse === parse) activeParse = null;
+        };
+
+        worker.addEventListener('message', (event) => {
+            const message = event.data;
+            started = true;
+
+            switch (message.type) {
+                case 'progress':
+                    onProgress?.(message);
+                    break;
+                case 'result':
+                    finish();
+                    resolve(message.project);
+                    break;
+                case 'error':
+                    finish();
+                    reject(new Error(message.message));
+                    break;
+            }
+        });
+
+        worker.addEventListener('error', (event) => {
+            finish();
+
+            // The worker script failed to load - fall back to the main thread
+            if (!started) {
+                console.warn('Parse worker failed to start, parsing on the main thread:', event.message);
+                parseProject(xmlString, { onProgress }).then(resolve, reject);
+                return;
+            }
+            reject(new Error(event.message || 'Parse worker failed'));
+        });
+
+        worker.postMessage({ xmlString, decoderDefinitions: getUserDecoderDefinitions() });
+    });
+}
+
+/**
+ * Cancel the parse currently in flight, if any
+ * The pending promise rejects with a DOMException named 'AbortError'.
+ */
+export function cancelParse() {
+    if (!activeParse) return;
+
+    const { worker, reject } = activeParse;
+    activeParse = null;
+    worker.terminate();
+    reject(new DOMException('Parse cancelled', 'AbortError'));
+}
@@ -0,0 +1,29 @@
+/**
+ * Parse Worker
+ * Runs parseProject off the main thread and streams progress back.
+ * Workers have no DOMParser, so the parser falls back to xml-parser.js.
+ * The worker has its own decoder definitions, so the page's user definition
+ * files come along with every parse.
+ *
+ * Messages in:  { xmlString, decoderDefinitions }
+ * Messages out: { type: 'progress', stage, completed, total }
+ *               { type: 'result', project }
+ *               { type: 'error', message }
+ */
+
+import { parseProject } from './parser.js';
+import { setUserDecoderDefinitions } from './decoder-definitions.js';
+
+self.addEventListener('message', async (event) => {
+    const { xmlString, decoderDefinitions } = event.data;
+
+    try {
+        setUserDecoderDefinitions(decoderDefinitions ?? []);
+        const project = await parseProject(xmlString, {
+            onProgress: progress => self.postMessage({ type: 'progress', ...progress })
+        });
+        self.postMessage({ type: 'result', project });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
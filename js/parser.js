@@ -3,6 +3,81 @@
  * Handles parsing of EBP/XML files
  */
 
+import { parseXmlDocument } from './xml-adapter.js';
+import { getUnitType } from './unit-types.js';
+
+/**
+ * Sentinel used by EmpirBus Studio for "no channel/unit assigned"
+ */
+const UNASSIGNED_ID = -2147483648;
+
+/**
+ * Parse a complete EBP project in a single pass.
+ * The XML is parsed once and every section is read from the same document.
+ * Sections reference each other by id and the lookup maps resolve them:
+ * - channel.unitId -> unitsById
+ * - component.schemaId / alarm.schemaId / memory.schemaId -> schemasById
+ * - component.channelId (combiId) -> channelsById
+ * - channel.combiId -> componentsByChannelId (raw schema components)
+ * @param {string} xmlString - XML content as string
+ * @param {Object} options - Optional { onProgress }
+ * @param {Function} options.onProgress - Called with { stage, completed, total }
+ *   while 'schemas' are scanned, 'units' parsed and 'components' decoded
+ * @returns {Promise<Object>} Project model
+ */
+export async function parseProject(xmlString, { onProgress } = {}) {
+    // Lazy load dependencies to avoid breaking module loading
+    const { Direction } = await import('./enums.js');
+    const { decodeChannelSettings } = await import('./channel-decoder.js');
+    const { decodeComponent } = await import('./component-decoder.js');
+
+    const xmlDoc = parseXmlDocument(xmlString);
+
+    const validation = validateDocument(xmlDoc);
+    if (!validation.isValid) {
+        throw new Error(`Invalid EBP file: ${validation.errors.join(', ')}`);
+    }
+
+    const schemas = readSchemas(xmlDoc, createProgressReporter('schemas', onProgress));
+    const componentsByChannelId = buildChannelIndex(schemas);
+    const units = readUnits(xmlDoc, componentsByChannelId, Direction, decodeChannelSettings,
+        createProgressReporter('units', onProgress));
+    const components = readComponents(xmlDoc, schemas, decodeComponent,
+        createProgressReporter('components', onProgress));
+
+    return linkProject({
+        metadata: readProjectMetadata(xmlDoc),
+        validation,
+        units,
+        schemas,
+        components,
+        alarms: readAlarms(schemas),
+        memory: readMemory(schemas)
+    }, componentsByChannelId);
+}
+
+/**
+ * Build the project model from its sections
+ * Adds the flat channel list and the lookup maps that link the sections.
+ * Used by parseProject and when a project is re-imported from JSON.
+ * @param {Object} sections - { metadata, validation, units, schemas, components, alarms, memory }
+ * @param {Map<number, Array>} componentsByChannelId - Optional prebuilt index from buildChannelIndex
+ * @returns {Object} Project model
+ */
+export function linkProject(sections, componentsByChannelId = buildChannelIndex(sections.schemas)) {
+    const { units, schemas } = sections;
+    const channels = units.flatMap(unit => unit.channels.flatMap(group => group.channels));
+
+    return {
+        ...sections,
+        channels,
+        unitsById: new Map(units.map(unit => [unit.id, unit])),
+        channelsById: new Map(channels.map(channel => [channel.combiId, channel])),
+        componentsByChannelId,
+        schemasById: new Map(schemas.map(schema => [schema.id, schema]))
+    };
+}
+
 /**
  * Parse basic unit information from EBP file
  * @param {string} xmlString - XML content as string
@@ -12,15 +87,41 @@ export async function parseUnits(xmlString) {
     // Lazy load dependencies to avoid breaking module loading
     const { Direction } = await import('./enums.js');
     const { decodeChannelSettings } = await import('./channel-decoder.js');
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(xmlString, 'text/xml');
+    const xmlDoc = parseXmlDocument(xmlString);
+    const channelIndex = buildChannelIndex(readSchemas(xmlDoc));
 
-    // Check for parsing errors
-    const parseError = xmlDoc.querySelector('parsererror');
-    if (parseError) {
-        throw new Error('Invalid XML format');
-    }
+    return readUnits(xmlDoc, channelIndex, Direction, decodeChannelSettings);
+}
 
+/**
+ * Create a throttled progress callback for one parse stage
+ * Reports at most once per percent so a worker doesn't flood the main thread.
+ * @param {string} stage - Stage name
+ * @param {Function} onProgress - Consumer callback (optional)
+ * @returns {Function} (completed, total) => void
+ */
+function createProgressReporter(stage, onProgress) {
+    if (!onProgress) return () => {};
+
+    let lastPercent = -1;
+    return (completed, total) => {
+        const percent = total > 0 ? Math.floor((completed / total) * 100) : 100;
+        if (percent === lastPercent) return;
+        lastPercent = percent;
+        onProgress({ stage, completed, total });
+    };
+}
+
+/**
+ * Read unit information from a parsed document
+ * @param {Document} xmlDoc - Parsed XML document
+ * @param {Map<number, Array>} channelIndex - Index from buildChannelIndex
+ * @param {Object} Direction - Direction enum
+ * @param {Function} decodeChannelSettings - Channel decoder function
+ * @param {Function} reportProgress - Optional (completed, total) callback
+ * @returns {Array} Array of unit objects
+ */
+function readUnits(xmlDoc, channelIndex, Direction, decodeChannelSettings, reportProgress = () => {}) {
     const units = [];
 
     // Get the units container first to avoid finding nested units
@@ -44,10 +145,11 @@ export async function parseUnits(xmlString) {
             name: unit.getAttribute('name') || 'N/A',
             unitTypeId: unit.getAttribute('unitTypeId') || 'N/A',
             standardUnitVariantNumber: unit.getAttribute('standardUnitVariantNumber') || 'N/A',
-            channels: parseChannels(unit, unitId, xmlDoc, Direction, decodeChannelSettings)
+            channels: parseChannels(unit, unitId, channelIndex, Direction, decodeChannelSettings)
         };
         console.log(`Unit ${i + 1}:`, unitData.name, 'ID:', unitData.id, 'TypeID:', unitData.unitTypeId);
         units.push(unitData);
+        reportProgress(i + 1, unitElements.length);
     }
 
     if (units.length === 0) {
@@ -59,42 +161,60 @@ export async function parseUnits(xmlString) {
 }
 
 /**
- * Get direction from components for a specific channel
- * @param {number} combiId - Combined ID (256 * unitId + channelNumber - 1)
- * @param {Document} xmlDoc - Parsed XML document
- * @param {Object} Direction - Direction enum
- * @returns {Object} Direction object
+ * Build a channelId -> components index for a whole document
+ * Lets each channel find its components in O(1) instead of rescanning
+ * every schema per channel.
+ * @param {Array} schemas - Schemas from readSchemas
+ * @returns {Map<number, Array>} Components keyed by channelId (combiId)
  */
-function getDirectionFromComponents(combiId, xmlDoc, Direction) {
-    const schemaElements = xmlDoc.querySelectorAll('schema');
-
-    for (const schema of schemaElements) {
-        const componentElements = schema.querySelectorAll('components > component');
+function buildChannelIndex(schemas) {
+    const index = new Map();
 
-        for (const component of componentElements) {
-            const channelId = parseInt(component.getAttribute('channelId'));
+    schemas.forEach(schema => {
+        schema.components.forEach(component => {
+            if (component.channelId === null) return;
 
-            if (!isNaN(channelId) && channelId !== -2147483648 && channelId === combiId) {
-                // Found a component using this channel
-                const directionStr = component.getAttribute('direction') || '';
-                return Direction.fromString(directionStr);
+            if (!index.has(component.channelId)) {
+                index.set(component.channelId, []);
             }
-        }
+            index.get(component.channelId).push(component);
+        });
+    });
+
+    return index;
+}
+
+/**
+ * Get direction from every component bound to a channel
+ * Components that disagree (one reads the channel, another drives it) make
+ * the channel BOTH; channel-analyzer.js reports these as overlaps.
+ * @param {Array} components - Raw components bound to the channel
+ * @param {Object} Direction - Direction enum
+ * @returns {Object} Direction object
+ */
+function getDirectionFromComponents(components, Direction) {
+    const directions = new Set(components.map(component => component.direction).filter(Boolean));
+
+    if (directions.size === 0) {
+        return Direction.NONE;
+    }
+    if (directions.size > 1) {
+        return Direction.BOTH;
     }
 
-    return Direction.NONE;
+    return Direction.fromString([...directions][0]);
 }
 
 /**
  * Parse channel information for a unit
  * @param {Element} unitElement - Unit XML element
  * @param {number} unitId - Unit ID
- * @param {Document} xmlDoc - Full XML document for component lookup
+ * @param {Map<number, Array>} channelIndex - Index from buildChannelIndex
  * @param {Object} Direction - Direction enum
  * @param {Function} decodeChannelSettings - Channel decoder function
  * @returns {Array} Array of channel groups
  */
-function parseChannels(unitElement, unitId, xmlDoc, Direction, decodeChannelSettings) {
+function parseChannels(unitElement, unitId, channelIndex, Direction, decodeChannelSettings) {
     const channelGroups = [];
     const groupElements = unitElement.getElementsByTagName('unitChannelGroup');
 
@@ -109,9 +229,12 @@ function parseChannels(unitElement, unitId, xmlDoc, Direction, decodeChannelSett
 
             // Calculate combiId to lookup actual direction from components
             const combiId = 256 * unitId + channelNumber - 1;
-            const actualDirection = getDirectionFromComponents(combiId, xmlDoc, Direction);
+            const components = channelIndex.get(combiId) || [];
+            const actualDirection = getDirectionFromComponents(components, Direction);
 
             const channelData = {
+                unitId,
+                combiId,
                 number: channelNumber,
                 name: channel.getAttribute('name') || 'N/A',
                 direction: actualDirection, // Use actual direction from components
@@ -142,75 +265,55 @@ function parseChannels(unitElement, unitId, xmlDoc, Direction, decodeChannelSett
 
 /**
  * Parse alarm information from schemas
- * Looks for components with componentId="1292" in all schema sections and extracts:
- * - property id="4" for alarm ID
- * - property id="31" for alarm name
  * @param {string} xmlString - XML content as string
  * @returns {Array} Array of alarm objects sorted by alarm ID
  */
 export function parseAlarms(xmlString) {
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(xmlString, 'text/xml');
+    return readAlarms(readSchemas(parseXmlDocument(xmlString)));
+}
 
+/**
+ * Read alarm information from parsed schemas
+ * Looks for components with componentId="1292" in all schema sections and extracts:
+ * - property id="4" for alarm ID
+ * - property id="31" for alarm name
+ * @param {Array} schemas - Schemas from readSchemas
+ * @returns {Array} Array of alarm objects sorted by alarm ID
+ */
+function readAlarms(schemas) {
     const alarms = [];
 
-    // Get all schema elements
-    const schemaElements = xmlDoc.getElementsByTagName('schema');
-
-    for (let s = 0; s < schemaElements.length; s++) {
-        const schema = schemaElements[s];
-        const schemaName = schema.getAttribute('name') || 'Unknown';
-
-        // Get components within this schema
-        const componentsContainer = schema.querySelector('components');
-        if (!componentsContainer) continue;
-
-        const componentElements = componentsContainer.getElementsByTagName('component');
+    schemas.forEach(schema => {
+        schema.components.forEach(component => {
+            // Only process components with componentId="1292"
+            if (component.componentId !== 1292) return;
 
-        for (let i = 0; i < componentElements.length; i++) {
-            const component = componentElements[i];
-            const componentId = component.getAttribute('componentId');
+            let alarmId = 'N/A';
+            let alarmName = 'N/A';
 
-            // Only process components with componentId="1292"
-            if (componentId === '1292') {
-                const componentRevision = component.getAttribute('componentRevision') || 'N/A';
-                const id = component.getAttribute('id') || 'N/A';
-
-                // Get the properties container
-                const propertiesElement = component.querySelector('properties');
-                if (propertiesElement) {
-                    const propertyElements = propertiesElement.getElementsByTagName('property');
-
-                    let alarmId = 'N/A';
-                    let alarmName = 'N/A';
-
-                    // Extract both alarm ID (property 4) and alarm name (property 31)
-                    for (let j = 0; j < propertyElements.length; j++) {
-                        const property = propertyElements[j];
-                        const propertyId = property.getAttribute('id');
-
-                        if (propertyId === '4') {
-                            alarmId = property.getAttribute('value') || 'N/A';
-                        } else if (propertyId === '31') {
-                            alarmName = property.getAttribute('value') || 'N/A';
-                        }
-                    }
-
-                    // Only add if we found at least one of the properties
-                    if (alarmId !== 'N/A' || alarmName !== 'N/A') {
-                        alarms.push({
-                            schemaName: schemaName,
-                            componentId: componentId,
-                            componentRevision: componentRevision,
-                            componentInstanceId: id,
-                            alarmId: alarmId,
-                            alarmName: alarmName
-                        });
-                    }
+            // Extract both alarm ID (property 4) and alarm name (property 31)
+            component.properties.forEach(property => {
+                if (property.id === 4) {
+                    alarmId = property.value || 'N/A';
+                } else if (property.id === 31) {
+                    alarmName = property.value || 'N/A';
                 }
+            });
+
+            // Only add if we found at least one of the properties
+            if (alarmId !== 'N/A' || alarmName !== 'N/A') {
+                alarms.push({
+                    schemaId: schema.id,
+                    schemaName: schema.name || 'Unknown',
+                    componentId: String(component.componentId),
+                    componentRevision: component.componentRevision,
+                    componentInstanceId: component.instanceId,
+                    alarmId: alarmId,
+                    alarmName: alarmName
+                });
             }
-        }
-    }
+        });
+    });
 
     // Sort alarms by alarm ID (numeric sort)
     alarms.sort((a, b) => {
@@ -229,11 +332,17 @@ export function parseAlarms(xmlString) {
  * @returns {Object} Project metadata
  */
 export function parseProjectMetadata(xmlString) {
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(xmlString, 'text/xml');
-    
+    return readProjectMetadata(parseXmlDocument(xmlString));
+}
+
+/**
+ * Read project metadata from a parsed document
+ * @param {Document} xmlDoc - Parsed XML document
+ * @returns {Object|null} Project metadata
+ */
+function readProjectMetadata(xmlDoc) {
     const project = xmlDoc.querySelector('project');
-    
+
     if (!project) {
         return null;
     }
@@ -250,48 +359,67 @@ export function parseProjectMetadata(xmlString) {
 /**
  * Validate EBP file structure
  * @param {string} xmlString - XML content as string
- * @returns {Object} Validation result with isValid and errors
+ * @returns {Object} Validation result with isValid, errors and non-fatal warnings
  */
 export function validateEBP(xmlString) {
-    const errors = [];
-
     try {
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(xmlString, 'text/xml');
-
-        // Check for XML parsing errors
-        const parseError = xmlDoc.querySelector('parsererror');
-        if (parseError) {
-            errors.push('Invalid XML format');
-            return { isValid: false, errors };
-        }
+        return validateDocument(parseXmlDocument(xmlString));
+    } catch (error) {
+        const message = error.message === 'Invalid XML format'
+            ? error.message
+            : `Parsing error: ${error.message}`;
+        return { isValid: false, errors: [message], warnings: [] };
+    }
+}
 
-        // Check for project element
-        const project = xmlDoc.querySelector('project');
-        if (!project) {
-            errors.push('Missing project root element');
-        }
+/**
+ * Validate the structure of a parsed EBP document
+ * @param {Document} xmlDoc - Parsed XML document
+ * @returns {Object} Validation result with isValid, errors and non-fatal warnings
+ */
+function validateDocument(xmlDoc) {
+    const errors = [];
 
-        // Check for units element
-        const units = xmlDoc.querySelector('units');
-        if (!units) {
-            errors.push('Missing units element');
-        }
+    // Check for project element
+    const project = xmlDoc.querySelector('project');
+    if (!project) {
+        errors.push('Missing project root element');
+    }
 
-        // Check if any units exist
-        const unitElements = xmlDoc.getElementsByTagName('unit');
-        if (unitElements.length === 0) {
-            errors.push('No units found in file');
-        }
+    // Check for units element
+    const units = xmlDoc.querySelector('units');
+    if (!units) {
+        errors.push('Missing units element');
+    }
 
-        return {
-            isValid: errors.length === 0,
-            errors: errors
-        };
-    } catch (error) {
-        errors.push(`Parsing error: ${error.message}`);
-        return { isValid: false, errors };
+    // Check if any units exist
+    const unitElements = xmlDoc.getElementsByTagName('unit');
+    if (unitElements.length === 0) {
+        errors.push('No units found in file');
     }
+
+    // Duplicate unit IDs make channel IDs (256 * unitId + number - 1) ambiguous
+    const warnings = [];
+    if (units) {
+        const seenIds = new Set();
+        Array.from(units.children)
+            .filter(el => el.tagName === 'unit')
+            .forEach(unit => {
+                const id = unit.getAttribute('id');
+                if (id === null) {
+                    warnings.push(`Unit "${unit.getAttribute('name') || 'N/A'}" has no ID`);
+                } else if (seenIds.has(id)) {
+                    warnings.push(`Unit ID ${id} is used more than once`);
+                }
+                seenIds.add(id);
+            });
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors: errors,
+        warnings: warnings
+    };
 }
 
 /**
@@ -300,23 +428,63 @@ export function validateEBP(xmlString) {
  * @returns {Array} Array of schema objects
  */
 export function parseSchemas(xmlString) {
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(xmlString, 'text/xml');
+    return readSchemas(parseXmlDocument(xmlString))
+        .map(({ id, name, sortIndex }) => ({ id, name, sortIndex }));
+}
 
+/**
+ * Read schemas and their raw components from a parsed document
+ * @param {Document} xmlDoc - Parsed XML document
+ * @param {Function} reportProgress - Optional (completed, total) callback
+ * @returns {Array} Array of schema objects sorted by sortIndex
+ */
+function readSchemas(xmlDoc, reportProgress = () => {}) {
     const schemas = [];
-    const schemaElements = xmlDoc.querySelectorAll('schemas > schema');
+    const schemaElements = xmlDoc.querySelectorAll('schema');
+
+    schemaElements.forEach((schema, index) => {
+        const schemaId = parseInt(schema.getAttribute('id')) || 0;
+        const schemaName = schema.getAttribute('name') || '';
+        const componentElements = schema.querySelectorAll('components > component');
 
-    schemaElements.forEach(schema => {
         schemas.push({
-            id: parseInt(schema.getAttribute('id')) || 0,
-            name: schema.getAttribute('name') || '',
-            sortIndex: parseInt(schema.getAttribute('sortIndex')) || 0
+            id: schemaId,
+            name: schemaName,
+            sortIndex: parseInt(schema.getAttribute('sortIndex')) || 0,
+            components: Array.from(componentElements, componentNode =>
+                readComponent(componentNode, schemaId, schemaName)
+            )
         });
+        reportProgress(index + 1, schemaElements.length);
     });
 
     return schemas.sort((a, b) => a.sortIndex - b.sortIndex);
 }
 
+/**
+ * Read a single raw component element
+ * @param {Element} componentNode - Component XML element
+ * @param {number} schemaId - Owning schema ID
+ * @param {string} schemaName - Owning schema name
+ * @returns {Object} Raw component with its properties
+ */
+function readComponent(componentNode, schemaId, schemaName) {
+    const channelId = parseInt(componentNode.getAttribute('channelId'));
+    const unitId = parseInt(componentNode.getAttribute('unitId'));
+
+    return {
+        schemaId,
+        schemaName,
+        instanceId: componentNode.getAttribute('id') || 'N/A',
+        componentId: parseInt(componentNode.getAttribute('componentId')),
+        componentRevision: componentNode.getAttribute('componentRevision') || 'N/A',
+        channelId: isNaN(channelId) || channelId === UNASSIGNED_ID ? null : channelId,
+        unitId: isNaN(unitId) || unitId === UNASSIGNED_ID ? null : unitId,
+        direction: componentNode.getAttribute('direction') || '',
+        properties: parseProperties(componentNode)
+    };
+}
+
 /**
  * Parse components from EBP file
  * @param {string} xmlString - XML content as string
@@ -325,33 +493,34 @@ export function parseSchemas(xmlString) {
 export async function parseComponents(xmlString) {
     // Lazy load the decoder to avoid breaking basic functionality
     const { decodeComponent } = await import('./component-decoder.js');
+    const xmlDoc = parseXmlDocument(xmlString);
 
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(xmlString, 'text/xml');
+    return readComponents(xmlDoc, readSchemas(xmlDoc), decodeComponent);
+}
 
+/**
+ * Decode NMEA 2000 components from parsed schemas
+ * @param {Document} xmlDoc - Parsed XML document (for the master module lookup)
+ * @param {Array} schemas - Schemas from readSchemas
+ * @param {Function} decodeComponent - Component decoder function
+ * @param {Function} reportProgress - Optional (completed, total) callback
+ * @returns {Array} Array of component objects
+ */
+function readComponents(xmlDoc, schemas, decodeComponent, reportProgress = () => {}) {
     const components = [];
     const masterModuleBusId = findMasterModuleBusId(xmlDoc);
+    const total = schemas.reduce((sum, schema) => sum + schema.components.length, 0);
+    let completed = 0;
 
-    const schemaElements = xmlDoc.querySelectorAll('schema');
-
-    schemaElements.forEach(schema => {
-        const tabName = schema.getAttribute('name') || '';
-        const componentElements = schema.querySelectorAll('components > component');
-
-        componentElements.forEach(componentNode => {
-            const componentId = parseInt(componentNode.getAttribute('componentId'));
+    schemas.forEach(schema => {
+        schema.components.forEach(rawComponent => {
+            const { componentId } = rawComponent;
+            reportProgress(++completed, total);
 
             // Skip special component types (alerts and memory)
             if (componentId === 1292 || componentId === 2304) return;
 
-            const component = {
-                componentId,
-                channelId: parseInt(componentNode.getAttribute('channelId')) || null,
-                unitId: parseInt(componentNode.getAttribute('unitId')) || null
-            };
-
-            const properties = parseProperties(componentNode);
-            const decoded = decodeComponent(component, properties);
+            const decoded = decodeComponent(rawComponent, rawComponent.properties);
 
             if (decoded.name) {
                 components.push({
@@ -361,7 +530,12 @@ export async function parseComponents(xmlString) {
                     instance: decoded.instance,
                     id: decoded.id,
                     direction: decoded.direction.name,
-                    tabName
+                    tabName: schema.name,
+                    schemaId: schema.id,
+                    componentId,
+                    componentInstanceId: rawComponent.instanceId,
+                    channelId: rawComponent.channelId,
+                    unitId: rawComponent.unitId
                 });
             }
         });
@@ -390,9 +564,15 @@ export async function parseComponents(xmlString) {
  * @returns {Array} Array of memory objects
  */
 export function parseMemory(xmlString) {
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(xmlString, 'text/xml');
+    return readMemory(readSchemas(parseXmlDocument(xmlString)));
+}
 
+/**
+ * Read memory allocations from parsed schemas
+ * @param {Array} schemas - Schemas from readSchemas
+ * @returns {Array} Array of memory objects sorted by location
+ */
+function readMemory(schemas) {
     const MEMORY_TYPES = new Map([
         [0, { name: 'Bit (1 Bit)', bits: 1 }],
         [1, { name: 'UByte (8 Bit)', bits: 8 }],
@@ -401,23 +581,16 @@ export function parseMemory(xmlString) {
     ]);
 
     const memory = [];
-    
-    // Parse through schemas structure
-    const schemaElements = xmlDoc.querySelectorAll('schema');
-    
-    schemaElements.forEach(schemaNode => {
-        const tabName = schemaNode.getAttribute('name') || '';
-        const componentElements = schemaNode.querySelectorAll('component');
-
-        componentElements.forEach(componentNode => {
-            const componentId = parseInt(componentNode.getAttribute('componentId'));
 
-            if (componentId === 2304) { // Memory Stored Value component
-                const properties = parseProperties(componentNode);
+    schemas.forEach(schema => {
+        schema.components.forEach(component => {
+            if (component.componentId === 2304) { // Memory Stored Value component
                 const propertyMap = new Map();
 
-                properties.forEach(prop => {
-                    propertyMap.set(prop.id, parseInt(prop.value) || null);
+                component.properties.forEach(prop => {
+                    // Keep 0 - it is both the Bit type and a valid location
+                    const value = parseInt(prop.value);
+                    propertyMap.set(prop.id, isNaN(value) ? null : value);
                 });
 
                 const memType = propertyMap.get(0);
@@ -428,7 +601,9 @@ export function parseMemory(xmlString) {
                     type: type.name,
                     location: memLocation,
                     bits: type.bits,
-                    tabName: tabName
+                    tabName: schema.name,
+                    schemaId: schema.id,
+                    componentInstanceId: component.instanceId
                 });
             }
         });
@@ -447,15 +622,14 @@ function findMasterModuleBusId(xmlDoc) {
     const unitElements = xmlDoc.querySelectorAll('units > unit');
 
     for (const unit of unitElements) {
-        const unitTypeId = parseInt(unit.getAttribute('unitTypeId')) || 0;
+        const { master } = getUnitType(unit.getAttribute('unitTypeId'));
 
-        // Master module types: 101, 100
-        if (unitTypeId === 101 || unitTypeId === 100) {
+        if (master === 'always') {
             return parseInt(unit.getAttribute('id')) || -1;
         }
 
-        // Check for master module in properties (unitTypeId 20, 1, 16, 4)
-        if ([20, 1, 16, 4].includes(unitTypeId)) {
+        // Units that can be the master say so in their properties
+        if (master === 'configurable') {
             const properties = parseProperties(unit);
             for (const prop of properties) {
                 if (prop.id === 2 && prop.value === '2') {
@@ -478,8 +652,10 @@ function parseProperties(element) {
     const propertyElements = element.querySelectorAll('properties > property');
 
     propertyElements.forEach(prop => {
+        // Property 0 is valid (instance, memory type) - only unparseable ids map to -1
+        const id = parseInt(prop.getAttribute('id'));
         properties.push({
-            id: parseInt(prop.getAttribute('id')) || -1,
+            id: isNaN(id) ? -1 : id,
             value: prop.getAttribute('value') || ''
         });
     });
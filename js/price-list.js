@@ -0,0 +1,317 @@
+/**
+ * Price List Module
+ * Reads local price lists (CSV or JSON, see schema/price-list.schema.json)
+ * and turns the units of a project into a costed Bill of Materials: module
+ * lines plus the accessories (connectors, terminators, drop cables, fuses)
+ * the price list attaches to product numbers, unit types or the project.
+ */
+
+import { parseCsv } from './csv.js';
+import { generateBOMFromUnits, findModuleByProductNumber } from '../modules.js';
+import { formatUnitType } from './unit-types.js';
+
+/**
+ * Format identifier of JSON price lists
+ */
+export const PRICE_LIST_FORMAT = 'ebp2docs-price-list';
+
+/**
+ * Current price list format version
+ */
+export const PRICE_LIST_VERSION = 1;
+
+/**
+ * CSV header names per field, compared without case, spaces or punctuation
+ */
+const CSV_HEADERS = {
+    productNumber: ['productnumber', 'product', 'partnumber'],
+    description: ['description', 'name'],
+    price: ['price', 'unitprice'],
+    currency: ['currency'],
+    for: ['for', 'accessoryfor'],
+    quantity: ['quantity', 'qty']
+};
+
+/**
+ * Parsed price list
+ * @typedef {Object} PriceList
+ * @property {string} name - Label shown in the viewer
+ * @property {string} currency - Currency code, '' when the list doesn't say
+ * @property {Map<string, Object>} items - { description, price } by product number
+ * @property {Array<Object>} accessories - { productNumber, quantity, target }, where
+ *   target is { type: 'product'|'unitType'|'project', value }
+ */
+
+/**
+ * A lone separator followed by exactly three digits: "1,234" is 1234 with a
+ * thousands separator and 1.234 with a decimal comma
+ */
+const AMBIGUOUS_PRICE = /^-?\d{1,3}[.,]\d{3}$/;
+
+/**
+ * Strip currency symbols and spaces from a price
+ */
+function priceText(value) {
+    return String(value).replace(/[^\d.,-]/g, '');
+}
+
+/**
+ * Read a price from a CSV cell or JSON value
+ * Accepts currency symbols and both decimal separators ("1.234,50", "1,234.50");
+ * ambiguous prices like "1,234" are invalid.
+ * @returns {number|null} Price, null for an empty cell, NaN when invalid
+ */
+function parsePrice(value) {
+    if (typeof value === 'number') return value;
+    if (value === undefined || value === null) return null;
+
+    let text = priceText(value);
+    if (text === '') return String(value).trim() === '' ? null : NaN;
+    if (AMBIGUOUS_PRICE.test(text)) return NaN;
+
+    // With both separators the last one is the decimal separator
+    const decimal = text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.';
+    text = text.split(decimal === ',' ? '.' : ',').join('').replace(',', '.');
+    return /^-?\d*\.?\d+$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Read an accessory target: a product number, "unitType:<id>" or "project"
+ */
+function parseTarget(text) {
+    const value = String(text).trim();
+    if (/^project$/i.test(value)) return { type: 'project', value: '' };
+
+    const unitType = value.match(/^unit\s*type\s*:\s*(\d+)$/i);
+    return unitType ? { type: 'unitType', value: unitType[1] } : { type: 'product', value };
+}
+
+/**
+ * Add one accessory, collecting errors with the given location
+ */
+function addAccessory(list, { productNumber, quantity, target }, where, errors) {
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+        errors.push(`${where}: quantity must be a positive number`);
+        return;
+    }
+    if (target.type !== 'project' && target.value === '') {
+        errors.push(`${where}: accessory target is empty`);
+        return;
+    }
+    list.accessories.push({ productNumber, quantity, target });
+}
+
+/**
+ * Add or replace one priced item, collecting errors with the given location
+ */
+function addItem(list, productNumber, description, value, where, errors) {
+    const price = parsePrice(value);
+    if (typeof value === 'string' && AMBIGUOUS_PRICE.test(priceText(value))) {
+        errors.push(`${where}: price "${value}" is ambiguous, write it with decimals (e.g. 1234.00 or 1.234,00)`);
+        return;
+    }
+    if (Number.isNaN(price) || price < 0) {
+        errors.push(`${where}: price must be a number`);
+        return;
+    }
+    // An accessory row without a price keeps the price listed elsewhere
+    const previous = list.items.get(productNumber);
+    list.items.set(productNumber, {
+        description: description || previous?.description || '',
+        price: price ?? previous?.price ?? null
+    });
+}
+
+/**
+ * Read a CSV price list
+ * One row per product; rows with a "For" column are accessories of that
+ * target, with "Quantity" per matching unit (once for "project").
+ */
+function parseCsvPriceList(text, name, errors) {
+    const [header = [], ...rows] = parseCsv(text);
+    const normalized = header.map(label => label.toLowerCase().replace(/[^a-z]/g, ''));
+    const columns = Object.fromEntries(Object.entries(CSV_HEADERS).map(([field, names]) =>
+        [field, normalized.findIndex(label => names.includes(label))]));
+
+    if (columns.productNumber < 0 || columns.price < 0) {
+        errors.push('CSV price lists need "Product Number" and "Price" columns');
+        return null;
+    }
+
+    const list = { name, currency: '', items: new Map(), accessories: [] };
+    const cell = (row, field) => (columns[field] >= 0 ? (row[columns[field]] ?? '').trim() : '');
+
+    rows.forEach((row, index) => {
+        const where = `row ${index + 2}`;
+        const productNumber = cell(row, 'productNumber');
+        if (productNumber === '') {
+            errors.push(`${where}: missing product number`);
+            return;
+        }
+
+        if (!list.currency) list.currency = cell(row, 'currency');
+        addItem(list, productNumber, cell(row, 'description'), cell(row, 'price'), where, errors);
+
+        const target = cell(row, 'for');
+        if (target !== '') {
+            const quantity = cell(row, 'quantity');
+            addAccessory(list, {
+                productNumber,
+                quantity: quantity === '' ? 1 : parsePrice(quantity),
+                target: parseTarget(target)
+            }, where, errors);
+        }
+    });
+
+    return list;
+}
+
+/**
+ * Read a JSON price list ({ format, version, name, currency, items, accessories })
+ */
+function parseJsonPriceList(data, name, errors) {
+    if (data === null || typeof data !== 'object' || data.format !== PRICE_LIST_FORMAT) {
+        errors.push('Not an ebp2docs price list');
+        return null;
+    }
+    if (!Number.isInteger(data.version) || data.version > PRICE_LIST_VERSION) {
+        errors.push(`Unsupported price list version ${data.version} (supported up to ${PRICE_LIST_VERSION})`);
+        return null;
+    }
+
+    const list = { name: data.name || name, currency: data.currency ?? '', items: new Map(), accessories: [] };
+
+    Object.entries(data.items ?? {}).forEach(([productNumber, item]) => {
+        const { description = '', price } = typeof item === 'object' && item !== null ? item : { price: item };
+        addItem(list, productNumber, description, price, `item ${productNumber}`, errors);
+    });
+
+    (Array.isArray(data.accessories) ? data.accessories : []).forEach((accessory, index) => {
+        const where = `accessory ${index + 1}`;
+        if (typeof accessory?.productNumber !== 'string' || accessory.productNumber.trim() === '') {
+            errors.push(`${where}: missing product number`);
+            return;
+        }
+        addAccessory(list, {
+            productNumber: accessory.productNumber,
+            quantity: accessory.quantity ?? 1,
+            target: parseTarget(accessory.for ?? '')
+        }, where, errors);
+    });
+
+    return list;
+}
+
+/**
+ * Read a price list file
+ * JSON files are recognized by their content, anything else is read as CSV.
+ * @param {string} text - File content
+ * @param {string} fileName - File name, used as the list name when it has none
+ * @returns {PriceList} Price list
+ * @throws {Error} If the file isn't a valid price list
+ */
+export function parsePriceList(text, fileName = 'Price list') {
+    const errors = [];
+    let list;
+
+    if (/^\uFEFF?\s*\{/.test(text)) {
+        let data;
+        try {
+            data = JSON.parse(text.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error(`Invalid price list JSON: ${error.message}`);
+        }
+        list = parseJsonPriceList(data, fileName, errors);
+    } else {
+        list = parseCsvPriceList(text, fileName, errors);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`${fileName}: ${errors.join('; ')}`);
+    }
+    return list;
+}
+
+/**
+ * Check whether an accessory target matches a unit
+ * Product targets match the unit name or the resolved product number, also
+ * when the target is one of the module's aliases.
+ */
+function targetMatchesUnit(target, unit) {
+    if (target.type === 'unitType') return String(unit.unitTypeId) === target.value;
+    if (target.type !== 'product') return false;
+
+    const productNumber = findModuleByProductNumber(target.value)?.productNumber ?? target.value;
+    return unit.name === target.value || unit.productNumber === productNumber;
+}
+
+/**
+ * Label an accessory target, e.g. "Connect 50 (16)"
+ */
+function formatTarget(target) {
+    if (target.type === 'project') return 'Project';
+    return target.type === 'unitType' ? formatUnitType(target.value) : target.value;
+}
+
+/**
+ * Round an amount to cents
+ */
+function roundAmount(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Build a costed Bill of Materials
+ * Modules are counted as in generateBOMFromUnits; a module line for an
+ * ambiguous variant (several productCandidates) stays unpriced. Each accessory
+ * is counted once per matching unit (once per project for "project" targets)
+ * and aggregated per product number.
+ * @param {Array} units - Units enriched by enrichUnitsWithModules
+ * @param {PriceList} priceList - Price list
+ * @returns {Object} { name, currency, lines: [{ kind, quantity, productNumber,
+ *   description, for, unitPrice, lineTotal }], total, unpriced } - unitPrice and
+ *   lineTotal are null for products missing from the price list
+ */
+export function buildCostedBom(units, priceList) {
+    const moduleDescriptions = new Map(units.map(unit => [unit.productNumber, unit.moduleDescription]));
+    const lines = generateBOMFromUnits(units).map(item => ({
+        kind: 'module',
+        quantity: item.quantity,
+        productNumber: item.productNumber,
+        description: item.productCandidates.length > 1
+            ? `Ambiguous: variant ${item.variantNumber} is ${item.productCandidates.join(' or ')}, not priced`
+            : moduleDescriptions.get(item.productNumber) || '',
+        for: '',
+        ambiguous: item.productCandidates.length > 1
+    }));
+
+    const accessories = new Map();
+    priceList.accessories.forEach(({ productNumber, quantity, target }) => {
+        const matches = target.type === 'project' ? 1 : units.filter(unit => targetMatchesUnit(target, unit)).length;
+        if (matches === 0) return;
+
+        if (!accessories.has(productNumber)) {
+            accessories.set(productNumber, { kind: 'accessory', quantity: 0, productNumber, description: '', targets: [] });
+        }
+        const line = accessories.get(productNumber);
+        line.quantity += quantity * matches;
+        line.targets.push(formatTarget(target));
+    });
+
+    accessories.forEach(({ targets, ...line }) => lines.push({ ...line, for: targets.join(', ') }));
+
+    let total = 0;
+    let unpriced = 0;
+    const costed = lines.map(({ ambiguous, ...line }) => {
+        const item = ambiguous ? undefined : priceList.items.get(line.productNumber);
+        const unitPrice = item?.price ?? null;
+        const lineTotal = unitPrice === null ? null : roundAmount(unitPrice * line.quantity);
+
+        if (lineTotal === null) unpriced++;
+        else total += lineTotal;
+
+        return { ...line, description: item?.description || line.description, unitPrice, lineTotal };
+    });
+
+    return { name: priceList.name, currency: priceList.currency, lines: costed, total: roundAmount(total), unpriced };
+}
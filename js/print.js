@@ -7,23 +7,20 @@
 
 import { escapeHtml } from './utils.js';
 import { getVisibleChannelGroups } from './ui.js';
+import { getUnitType } from './unit-types.js';
 
 /**
  * Render the full print table: header + one row per visible channel.
  * @param {Array} units - Array of unit objects (productNumber-enriched)
  * @param {Object} metadata - Project metadata
- * @param {Object} exportDetails - Optional { boatName, boatType, locationsByUnitId }
+ * @param {Object} exportDetails - Optional { boatName, boatType, locationsByUnitId, problems }
  * @returns {string} HTML string
  */
 export function renderPrintTable(units, metadata, exportDetails = {}) {
-    const { boatName = '', boatType = '', locationsByUnitId = {}, logoDataUrl = '' } = exportDetails;
+    const { boatName = '', boatType = '', locationsByUnitId = {}, logoDataUrl = '', problems = [] } = exportDetails;
 
-    // WDU/MFD units (unitTypeId 200), MCUv1 units (unitTypeId 101), and MCUv2 units (unitTypeId 105) have no physical channels worth documenting - exclude them.
-    const printableUnits = units.filter(unit => 
-        unit.unitTypeId !== '200' && 
-        unit.unitTypeId !== '101' && 
-        unit.unitTypeId !== '105'
-    );
+    // WDU/MFD and MCU units have no physical channels worth documenting - exclude them.
+    const printableUnits = units.filter(unit => getUnitType(unit.unitTypeId).printable);
 
     let html = renderCoverPage(boatName, boatType, metadata, printableUnits.length, logoDataUrl);
 
@@ -31,6 +28,8 @@ export function renderPrintTable(units, metadata, exportDetails = {}) {
         html += renderUnitPage(unit, locationsByUnitId[String(unit.id)] || '');
     });
 
+    html += renderProblemsPage(problems);
+
     return html;
 }
 
@@ -68,6 +67,45 @@ function renderCoverPage(boatName, boatType, metadata, unitCount, logoDataUrl =
     return html;
 }
 
+/**
+ * Render the project problems as a final page (nothing when there are none).
+ * @param {Array} problems - Problems from collectProblems
+ * @returns {string} HTML string
+ */
+function renderProblemsPage(problems) {
+    if (problems.length === 0) {
+        return '';
+    }
+
+    const rows = problems.map(problem => `
+                    <tr>
+                        <td>${problem.severity === 'error' ? 'Error' : 'Warning'}</td>
+                        <td>${escapeHtml(problem.category)}</td>
+                        <td>${escapeHtml(problem.location)}</td>
+                        <td>${escapeHtml(problem.message)}</td>
+                    </tr>
+    `).join('');
+
+    return `
+        <div class="print-unit-page">
+            <h3>Problems (${problems.length})</h3>
+            <table class="print-channel-table">
+                <thead>
+                    <tr>
+                        <th>Severity</th>
+                        <th>Category</th>
+                        <th>Location</th>
+                        <th>Problem</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
 /**
  * Render a single unit's print page: header + its own channel table.
  * Every unit page breaks onto its own printed page.
@@ -0,0 +1,251 @@
+/**
+ * Problems Module
+ * Collects validation warnings, unknown decodes and every analyzer finding
+ * into one list, each entry pointing at the tab and row it concerns
+ */
+
+import { analyzeMemory, describeMemoryConflict } from './memory-analyzer.js';
+import { analyzeAlarms, describeAlarmIssues } from './alarm-analyzer.js';
+import { analyzeN2kCollisions, describeN2kCollision } from './n2k-analyzer.js';
+import { analyzeChannels, describeChannelIssues } from './channel-analyzer.js';
+import { UNKNOWN_DECODE } from './channel-decoder.js';
+import { isKnownUnitType } from './unit-types.js';
+import { MODULES, enrichUnitsWithModules } from '../modules.js';
+
+/**
+ * Problem severities, most severe first
+ */
+export const SEVERITIES = ['error', 'warning'];
+
+/**
+ * Row key builders for rows that aren't schema components
+ */
+const ROW_KEY_BUILDERS = new Map([
+    ['unit', unit => `unit:${unit.id}`],
+    ['channel', channel => `channel:${channel.combiId}`]
+]);
+
+/**
+ * Build the key that identifies a row in a tab (rendered as data-row-key)
+ * Components, alarms and memory are all schema components and are keyed by
+ * schema and component instance.
+ * @param {string} kind - 'unit', 'channel', 'component', 'alarm' or 'memory'
+ * @param {Object} item - The unit, channel, component, alarm or memory entry
+ * @returns {string} Row key
+ */
+export function getRowKey(kind, item) {
+    const build = ROW_KEY_BUILDERS.get(kind);
+    return build
+        ? build(item)
+        : `${kind}:${item.schemaId}:${item.componentInstanceId ?? item.instanceId}`;
+}
+
+/**
+ * Collect every problem in a project
+ * @param {Object} project - Project model from parseProject
+ * @param {Array} modulesList - Module definitions (defaults to MODULES)
+ * @returns {Array<Object>} [{ severity, category, message, location, tab, rowKey }]
+ *   sorted errors first; tab and rowKey are null when there is no row to show
+ */
+export function collectProblems(project, modulesList = MODULES) {
+    const problems = [
+        ...collectValidationProblems(project),
+        ...collectUnitTypeProblems(project),
+        ...collectModuleProblems(project, modulesList),
+        ...collectUnknownDecodes(project),
+        ...collectChannelProblems(project),
+        ...collectN2kProblems(project),
+        ...collectAlarmProblems(project),
+        ...collectMemoryProblems(project)
+    ];
+
+    return problems.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+/**
+ * Count problems per severity
+ * @param {Array<Object>} problems - Problems from collectProblems
+ * @returns {Object} { error, warning }
+ */
+export function countProblems(problems) {
+    const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+    problems.forEach(problem => counts[problem.severity]++);
+    return counts;
+}
+
+/**
+ * Create a problem entry
+ */
+function createProblem(severity, category, message, location = '', tab = null, rowKey = null) {
+    return { severity, category, message, location, tab, rowKey };
+}
+
+/**
+ * Describe where a channel is
+ */
+function channelLocation(project, channel) {
+    const unit = project.unitsById.get(channel.unitId);
+    const unitName = unit && unit.name !== 'N/A' ? ` "${unit.name}"` : '';
+    return `Unit ${channel.unitId}${unitName} › Channel ${channel.number}`;
+}
+
+/**
+ * Describe where a schema component is
+ */
+function componentLocation(schemaName, instanceId) {
+    return `Schema "${schemaName || 'unnamed schema'}" › Component ${instanceId}`;
+}
+
+/**
+ * Non-fatal structural findings from validateEBP
+ * (fatal errors stop parseProject before a project exists)
+ */
+function collectValidationProblems(project) {
+    const { errors = [], warnings = [] } = project.validation || {};
+
+    return [
+        ...errors.map(message => createProblem('error', 'Validation', message)),
+        ...warnings.map(message => createProblem('warning', 'Validation', message))
+    ];
+}
+
+/**
+ * Units whose type is missing from the unit type registry
+ * They are shown and printed with all channel groups, which may be wrong.
+ */
+function collectUnitTypeProblems(project) {
+    return project.units
+        .filter(unit => !isKnownUnitType(unit.unitTypeId))
+        .map(unit => {
+            const unitName = unit.name !== 'N/A' ? ` "${unit.name}"` : '';
+            return createProblem('warning', 'Unit type',
+                `Unknown unit type ${unit.unitTypeId}: all channel groups are shown and printed`,
+                `Unit ${unit.id}${unitName}`, 'units', getRowKey('unit', unit));
+        });
+}
+
+/**
+ * Units whose variant number matches several catalog modules
+ */
+function collectModuleProblems(project, modulesList) {
+    return enrichUnitsWithModules(project.units, modulesList)
+        .filter(unit => unit.productCandidates.length > 1)
+        .map(unit => {
+            const unitName = unit.name !== 'N/A' ? ` "${unit.name}"` : '';
+            return createProblem('warning', 'Module',
+                `Variant ${unit.standardUnitVariantNumber} matches ${unit.productCandidates.join(' and ')}; the BOM shows one line for both and the costed BOM leaves it unpriced until their unitTypeIds are in modules.js`,
+                `Unit ${unit.id}${unitName}`, 'units', getRowKey('unit', unit));
+        });
+}
+
+/**
+ * Channel settings and component enums missing from the decoder tables
+ * Only the settings for a channel's actual direction are checked, unused
+ * channels are skipped.
+ */
+function collectUnknownDecodes(project) {
+    const problems = [];
+
+    project.channels.forEach(channel => {
+        const checks = [];
+        if (channel.direction.id === 1 || channel.direction.id === 0) { // INPUT or BOTH
+            checks.push(['input', channel.sInMainChannelSettingId, channel.sInChannelSettingId,
+                channel.inMainChannelSettingId, channel.inChannelSettingId]);
+        }
+        if (channel.direction.id === 2 || channel.direction.id === 0) { // OUTPUT or BOTH
+            checks.push(['output', channel.sOutMainChannelSettingId, channel.sOutChannelSettingId,
+                channel.outMainChannelSettingId, channel.outChannelSettingId]);
+        }
+
+        checks.forEach(([direction, type, subtype, mainId, subId]) => {
+            let message = null;
+            if (type.startsWith(UNKNOWN_DECODE)) {
+                message = `Unknown ${direction} setting ${mainId} (subtype ${subId})`;
+            } else if (subtype.startsWith(UNKNOWN_DECODE)) {
+                message = `Unknown ${type} ${direction} subtype ${subId}`;
+            }
+
+            if (message) {
+                problems.push(createProblem('warning', 'Unknown decode', message,
+                    channelLocation(project, channel), 'units', getRowKey('channel', channel)));
+            }
+        });
+    });
+
+    project.components
+        .filter(component => component.id === 'unknown')
+        .forEach(component => {
+            problems.push(createProblem('warning', 'Unknown decode',
+                `${component.name} (PGN ${component.pgn}) has an unknown type/source`,
+                componentLocation(component.tabName, component.componentInstanceId),
+                'components', getRowKey('component', component)));
+        });
+
+    return problems;
+}
+
+/**
+ * Channel overlaps and components bound to missing channels
+ */
+function collectChannelProblems(project) {
+    const decodedKeys = new Set(project.components.map(component => getRowKey('component', component)));
+
+    return describeChannelIssues(analyzeChannels(project)).flatMap(group =>
+        group.items.map((item, index) => {
+            if (item.channel) {
+                return createProblem(group.severity, 'Channels', group.messages[index],
+                    channelLocation(project, item.channel), 'units', getRowKey('channel', item.channel));
+            }
+
+            // Dangling binding: only NMEA 2000 components have a row to show
+            const [component] = item.components;
+            const rowKey = getRowKey('component', component);
+            const hasRow = decodedKeys.has(rowKey);
+            return createProblem(group.severity, 'Channels', group.messages[index],
+                componentLocation(component.schemaName, component.instanceId),
+                hasRow ? 'components' : null, hasRow ? rowKey : null);
+        })
+    );
+}
+
+/**
+ * Transmitted NMEA 2000 instance collisions
+ */
+function collectN2kProblems(project) {
+    return analyzeN2kCollisions(project.components).collisions.map(collision => {
+        const [component] = collision.components;
+        return createProblem('error', 'NMEA 2000', describeN2kCollision(collision),
+            componentLocation(component.tabName, component.componentInstanceId),
+            'components', getRowKey('component', component));
+    });
+}
+
+/**
+ * Alarm numbering issues
+ */
+function collectAlarmProblems(project) {
+    return describeAlarmIssues(analyzeAlarms(project.alarms)).flatMap(group =>
+        group.items.map((item, index) => {
+            // Duplicates point at their first alarm; gaps have no row
+            const alarm = item.alarms ? item.alarms[0] : item.schemaId !== undefined ? item : null;
+            if (!alarm) {
+                return createProblem(group.severity, 'Alarms', group.messages[index], 'Alarm numbering', 'alerts');
+            }
+
+            return createProblem(group.severity, 'Alarms', group.messages[index],
+                componentLocation(alarm.schemaName, alarm.componentInstanceId),
+                'alerts', getRowKey('alarm', alarm));
+        })
+    );
+}
+
+/**
+ * Colliding memory allocations
+ */
+function collectMemoryProblems(project) {
+    return analyzeMemory(project.memory).conflicts.map(conflict =>
+        createProblem('error', 'Memory', describeMemoryConflict(conflict),
+            componentLocation(conflict.second.tabName, conflict.second.componentInstanceId),
+            'memory', getRowKey('memory', conflict.second))
+    );
+}
@@ -0,0 +1,269 @@
+/**
+ * Project Diff Module
+ * Compares two revisions of a project: units added or removed, channels
+ * renamed or re-typed, and changed components, alarm IDs and memory allocations
+ */
+
+import { getRowKey } from './problems.js';
+
+/**
+ * Change kinds in display order
+ */
+export const CHANGE_KINDS = ['added', 'removed', 'changed'];
+
+/**
+ * Format a value for comparison and display ('' for unset values)
+ */
+function formatValue(value) {
+    return value === null || value === undefined || value === -1 ? '' : String(value);
+}
+
+/**
+ * Format a decoded channel setting as "type › subtype"
+ */
+function formatSetting(type, subtype) {
+    return subtype ? `${type} › ${subtype}` : type;
+}
+
+/**
+ * Describe a unit by ID and name
+ */
+function unitLabel(unit) {
+    return unit.name && unit.name !== 'N/A' ? `Unit ${unit.id} "${unit.name}"` : `Unit ${unit.id}`;
+}
+
+/**
+ * Describe a schema component by its tab and instance
+ */
+function componentLabel(name, schemaName, instanceId) {
+    return `${name} in "${schemaName || 'unnamed schema'}" (component ${instanceId})`;
+}
+
+/**
+ * What is compared per section: the items, how rows are keyed and labelled,
+ * which tab shows them and the fields that count as a change
+ */
+const DIFF_SECTIONS = [
+    {
+        id: 'units',
+        title: 'Units',
+        rowKind: 'unit',
+        tab: 'units',
+        items: project => project.units,
+        label: unit => unitLabel(unit),
+        fields: [
+            ['Name', unit => unit.name],
+            ['Serial Number', unit => unit.serial],
+            ['Unit Type ID', unit => unit.unitTypeId],
+            ['Variant Number', unit => unit.standardUnitVariantNumber]
+        ]
+    },
+    {
+        id: 'channels',
+        title: 'Channels',
+        rowKind: 'channel',
+        tab: 'units',
+        // Channels of added or removed units are covered by the unit change
+        items: (project, other) => project.channels.filter(channel => other.unitsById.has(channel.unitId)),
+        label: (channel, project) => {
+            const unit = project.unitsById.get(channel.unitId);
+            return `${unit ? unitLabel(unit) : `Unit ${channel.unitId}`} › Channel ${channel.number}`;
+        },
+        fields: [
+            ['Name', channel => channel.name],
+            ['Direction', channel => channel.direction.name],
+            ['Input Type', channel => formatSetting(channel.sInMainChannelSettingId, channel.sInChannelSettingId)],
+            ['Output Type', channel => formatSetting(channel.sOutMainChannelSettingId, channel.sOutChannelSettingId)]
+        ]
+    },
+    {
+        id: 'components',
+        title: 'NMEA 2000 Components',
+        rowKind: 'component',
+        tab: 'components',
+        items: project => project.components,
+        label: comp => componentLabel(`${comp.name} (PGN ${comp.pgn})`, comp.tabName, comp.componentInstanceId),
+        fields: [
+            ['PGN', comp => comp.pgn],
+            ['Device', comp => comp.device],
+            ['Instance', comp => comp.instance],
+            ['ID', comp => comp.id],
+            ['Direction', comp => comp.direction],
+            ['Channel', comp => comp.channelId]
+        ]
+    },
+    {
+        id: 'alarms',
+        title: 'Alarms',
+        rowKind: 'alarm',
+        tab: 'alerts',
+        items: project => project.alarms,
+        label: alarm => componentLabel(`Alarm "${alarm.alarmName}"`, alarm.schemaName, alarm.componentInstanceId),
+        fields: [
+            ['Alarm ID', alarm => alarm.alarmId],
+            ['Alarm Name', alarm => alarm.alarmName]
+        ]
+    },
+    {
+        id: 'memory',
+        title: 'Memory Allocations',
+        rowKind: 'memory',
+        tab: 'memory',
+        items: project => project.memory,
+        label: mem => componentLabel(`${mem.type} memory`, mem.tabName, mem.componentInstanceId),
+        fields: [
+            ['Memory Location', mem => mem.location],
+            ['Type', mem => mem.type],
+            ['Bits', mem => mem.bits]
+        ]
+    }
+];
+
+/**
+ * Parse a savedAtUtc timestamp
+ * @returns {number|null} Milliseconds since the epoch, null when missing or invalid
+ */
+function getSavedTime(project) {
+    const time = Date.parse(project.metadata?.savedAtUtc ?? '');
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Order two project revisions by their savedAtUtc metadata
+ * When either save time is unknown the given order is kept.
+ * @param {Object} first - { name, project }
+ * @param {Object} second - { name, project }
+ * @returns {Object} { older, newer, bySaveTime }
+ */
+export function orderBySavedAt(first, second) {
+    const firstTime = getSavedTime(first.project);
+    const secondTime = getSavedTime(second.project);
+
+    if (firstTime === null || secondTime === null) {
+        return { older: first, newer: second, bySaveTime: false };
+    }
+    return secondTime < firstTime
+        ? { older: second, newer: first, bySaveTime: true }
+        : { older: first, newer: second, bySaveTime: true };
+}
+
+/**
+ * Index items by row key, keeping the first of any duplicates
+ */
+function indexByRowKey(kind, items) {
+    const byKey = new Map();
+    items.forEach(item => {
+        const key = getRowKey(kind, item);
+        if (!byKey.has(key)) byKey.set(key, item);
+    });
+    return byKey;
+}
+
+/**
+ * Compare one section of two projects
+ */
+function diffSection(section, oldProject, newProject) {
+    const oldItems = indexByRowKey(section.rowKind, section.items(oldProject, newProject));
+    const newItems = indexByRowKey(section.rowKind, section.items(newProject, oldProject));
+    const changes = [];
+
+    const createChange = (kind, rowKey, label, fields = []) => ({
+        section: section.id,
+        sectionTitle: section.title,
+        kind,
+        label,
+        fields,
+        // Removed items have no row in the newer project to jump to
+        tab: kind === 'removed' ? null : section.tab,
+        rowKey: kind === 'removed' ? null : rowKey
+    });
+
+    oldItems.forEach((oldItem, rowKey) => {
+        const newItem = newItems.get(rowKey);
+        if (!newItem) {
+            changes.push(createChange('removed', rowKey, section.label(oldItem, oldProject)));
+            return;
+        }
+
+        const fields = section.fields
+            .map(([field, get]) => ({ field, before: formatValue(get(oldItem)), after: formatValue(get(newItem)) }))
+            .filter(({ before, after }) => before !== after);
+        if (fields.length > 0) {
+            changes.push(createChange('changed', rowKey, section.label(newItem, newProject), fields));
+        }
+    });
+
+    newItems.forEach((newItem, rowKey) => {
+        if (!oldItems.has(rowKey)) {
+            changes.push(createChange('added', rowKey, section.label(newItem, newProject)));
+        }
+    });
+
+    return changes.sort((a, b) => CHANGE_KINDS.indexOf(a.kind) - CHANGE_KINDS.indexOf(b.kind));
+}
+
+/**
+ * Compare two revisions of a project
+ * Units are matched by ID, channels by unit and number, and components,
+ * alarms and memory allocations by schema and component instance.
+ * @param {Object} oldProject - Older project model from parseProject
+ * @param {Object} newProject - Newer project model from parseProject
+ * @returns {Object} { changes, counts } where changes are
+ *   [{ section, sectionTitle, kind, label, fields: [{ field, before, after }], tab, rowKey }]
+ *   grouped by section, and counts holds the number of changes per kind
+ */
+export function diffProjects(oldProject, newProject) {
+    const changes = DIFF_SECTIONS.flatMap(section => diffSection(section, oldProject, newProject));
+
+    const counts = Object.fromEntries(CHANGE_KINDS.map(kind => [kind, 0]));
+    changes.forEach(change => counts[change.kind]++);
+
+    return { changes, counts };
+}
+
+/**
+ * Describe a change in one line
+ * @param {Object} change - Change from diffProjects
+ * @returns {string} Description
+ */
+export function describeChange(change) {
+    if (change.kind !== 'changed') {
+        return `${change.label} ${change.kind}`;
+    }
+    const fields = change.fields.map(({ field, before, after }) => `${field} "${before}" → "${after}"`);
+    return `${change.label}: ${fields.join(', ')}`;
+}
+
+/**
+ * Build the change report, one row per added or removed item and per changed field
+ * @param {Object} diff - Result of diffProjects
+ * @param {Object} older - { name, project } of the older revision
+ * @param {Object} newer - { name, project } of the newer revision
+ * @returns {Object} { title, metadata, sections } in the shape of buildReport, for the CSV, XLSX and HTML writers
+ */
+export function buildDiffReport(diff, older, newer) {
+    const rows = diff.changes.flatMap(change => {
+        const base = { section: change.sectionTitle, kind: change.kind, item: change.label };
+        return change.kind === 'changed'
+            ? change.fields.map(({ field, before, after }) => ({ ...base, field, before, after }))
+            : [{ ...base, field: '', before: '', after: '' }];
+    });
+
+    return {
+        title: `Changes from ${older.name} to ${newer.name}`,
+        metadata: newer.project.metadata,
+        sections: [{
+            id: 'changes',
+            title: 'Changes',
+            columns: [
+                { key: 'section', label: 'Section' },
+                { key: 'kind', label: 'Change' },
+                { key: 'item', label: 'Item' },
+                { key: 'field', label: 'Field' },
+                { key: 'before', label: `Old (${older.name})` },
+                { key: 'after', label: `New (${newer.name})` }
+            ],
+            rows
+        }]
+    };
+}
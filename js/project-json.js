@@ -0,0 +1,161 @@
+/**
+ * Project JSON Module
+ * Exports a parsed project as a versioned JSON document and reads it back,
+ * so a project can be reviewed without the original .ebp file.
+ * The document layout is described by schema/project.schema.json.
+ */
+
+import { Direction } from './enums.js';
+import { linkProject } from './parser.js';
+import { collectProblems } from './problems.js';
+import { MODULES, enrichUnitsWithModules, generateBOMFromUnits } from '../modules.js';
+
+/**
+ * Format identifier written to every document
+ */
+export const PROJECT_JSON_FORMAT = 'ebp2docs-project';
+
+/**
+ * Current document version. Bump it whenever a field changes meaning or is
+ * removed; adding fields doesn't need a new version.
+ */
+export const PROJECT_JSON_VERSION = 1;
+
+/**
+ * Build the JSON document for a project
+ * @param {Object} project - Project model from parseProject
+ * @param {Object} options - Optional { source, modulesList }
+ * @param {string} options.source - Name of the file the project came from
+ * @param {Array} options.modulesList - Module definitions (defaults to MODULES)
+ * @returns {Object} Plain, JSON-serializable document
+ */
+export function exportProjectJson(project, { source = null, modulesList = MODULES } = {}) {
+    const units = enrichUnitsWithModules(project.units, modulesList);
+
+    return {
+        format: PROJECT_JSON_FORMAT,
+        version: PROJECT_JSON_VERSION,
+        generatedAt: new Date().toISOString(),
+        source,
+        metadata: project.metadata,
+        validation: project.validation || { isValid: true, errors: [], warnings: [] },
+        units: units.map(unit => ({
+            ...unit,
+            channels: unit.channels.map(group => ({
+                ...group,
+                channels: group.channels.map(channel => ({ ...channel, direction: channel.direction.name }))
+            }))
+        })),
+        schemas: project.schemas,
+        components: project.components,
+        alarms: project.alarms,
+        memory: project.memory,
+        bom: generateBOMFromUnits(units),
+        problems: collectProblems(project, modulesList)
+    };
+}
+
+/**
+ * Serialize a project to a JSON string
+ * @param {Object} project - Project model from parseProject
+ * @param {Object} options - Same options as exportProjectJson
+ * @returns {string} Indented JSON
+ */
+export function serializeProject(project, options = {}) {
+    return JSON.stringify(exportProjectJson(project, options), null, 2);
+}
+
+/**
+ * Check the parts of a document the project model is built from
+ * @param {Object} doc - Parsed document
+ * @returns {Array<string>} Error messages with the path of each bad field, empty when usable
+ */
+function checkDocument(doc) {
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const checkList = (value, path, checkItem) => {
+        if (!Array.isArray(value)) {
+            errors.push(`${path} is not a list`);
+            return;
+        }
+        value.forEach((item, index) => {
+            if (!isObject(item)) errors.push(`${path}[${index}] is not an object`);
+            else if (checkItem) checkItem(item, `${path}[${index}]`);
+        });
+    };
+
+    checkList(doc.units, 'units', (unit, path) => {
+        if (!Number.isInteger(unit.id)) errors.push(`${path}.id is not a number`);
+        checkList(unit.channels, `${path}.channels`, (group, groupPath) => {
+            checkList(group.channels, `${groupPath}.channels`, (channel, channelPath) => {
+                if (!Number.isInteger(channel.number)) errors.push(`${channelPath}.number is not a number`);
+                if (!Number.isInteger(channel.combiId)) errors.push(`${channelPath}.combiId is not a number`);
+                if (typeof channel.direction !== 'string') errors.push(`${channelPath}.direction is not a string`);
+            });
+        });
+    });
+    checkList(doc.schemas, 'schemas', (schema, path) => {
+        if (!Number.isInteger(schema.id)) errors.push(`${path}.id is not a number`);
+        checkList(schema.components, `${path}.components`);
+    });
+    checkList(doc.components, 'components');
+    checkList(doc.alarms, 'alarms');
+    checkList(doc.memory, 'memory');
+
+    return errors;
+}
+
+/**
+ * Read a project back from an exported JSON document
+ * The BOM and problems stored in the document are not read back; they are
+ * derived from the project again so they always match the current rules.
+ * @param {string} jsonString - Document from serializeProject
+ * @returns {Object} Project model, as returned by parseProject
+ * @throws {Error} If the document isn't a project export, lacks required fields or its version is unsupported
+ */
+export function importProjectJson(jsonString) {
+    let doc;
+    try {
+        doc = JSON.parse(jsonString);
+    } catch (error) {
+        throw new Error(`Invalid project JSON: ${error.message}`);
+    }
+
+    if (!doc || doc.format !== PROJECT_JSON_FORMAT) {
+        throw new Error('Not an ebp2docs project export');
+    }
+    if (!Number.isInteger(doc.version) || doc.version > PROJECT_JSON_VERSION) {
+        throw new Error(`Unsupported project JSON version ${doc.version} (supported up to ${PROJECT_JSON_VERSION})`);
+    }
+
+    const errors = checkDocument(doc);
+    if (errors.length > 0) {
+        const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+        throw new Error(`Not an ebp2docs project export: ${errors.slice(0, 3).join('; ')}${more}`);
+    }
+
+    return linkProject({
+        metadata: doc.metadata ?? null,
+        validation: doc.validation ?? { isValid: true, errors: [], warnings: [] },
+        units: doc.units.map(unit => ({
+            ...unit,
+            channels: unit.channels.map(group => ({
+                ...group,
+                channels: group.channels.map(channel => ({ ...channel, direction: Direction.fromString(channel.direction) }))
+            }))
+        })),
+        schemas: doc.schemas,
+        components: doc.components,
+        alarms: doc.alarms,
+        memory: doc.memory
+    });
+}
+
+/**
+ * Check whether file content looks like a project JSON export rather than XML
+ * @param {string} content - File content
+ * @returns {boolean} True for JSON content
+ */
+export function isProjectJson(content) {
+    return content.trimStart().startsWith('{');
+}
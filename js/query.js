@@ -0,0 +1,354 @@
+/**
+ * Query Module
+ * The search box query language: free text and field:value terms combined
+ * with AND (implicit), OR, NOT (or a leading -) and parentheses, e.g.
+ *   unit:3 dir:output type:"digital output +" name:bilge
+ *   pgn:127505 (instance:2 OR instance:3)
+ * Numeric fields also take comparisons (instance:>2). Each tab searches its
+ * own record kind with the fields in QUERY_FIELDS.
+ */
+
+import { formatUnitType } from './unit-types.js';
+import { getLocationSpan } from './memory-analyzer.js';
+import { getJ1939Pgn, formatJ1939Name } from './j1939-catalog.js';
+
+/**
+ * Operators numeric fields accept in front of the value
+ */
+const COMPARISONS = ['>=', '<=', '>', '<'];
+
+/**
+ * Field definition
+ * @typedef {Object} QueryField
+ * @property {Array<string>} names - Field name and aliases (lowercase)
+ * @property {string} match - 'text' (contains), 'exact' or 'number' (equals or compares)
+ * @property {Function} get - (record) => value or array of values
+ */
+
+/**
+ * Decoded type and subtype of a channel for its actual direction
+ * Channels used both ways match on their input and their output setting.
+ */
+function channelSetting(channel, input, output) {
+    const settings = [];
+    if (channel.direction.id === 1 || channel.direction.id === 0) settings.push(channel[input]); // INPUT or BOTH
+    if (channel.direction.id === 2 || channel.direction.id === 0) settings.push(channel[output]); // OUTPUT or BOTH
+    return settings;
+}
+
+/**
+ * Searchable fields per record kind
+ * Channel records are { unit, group, channel }; module records are BOM or
+ * costed BOM lines; the other kinds are the model objects the tabs show.
+ * @type {Object<string, Array<QueryField>>}
+ */
+export const QUERY_FIELDS = {
+    channel: [
+        { names: ['unit'], match: 'number', get: ({ unit }) => unit.id },
+        { names: ['unitname'], match: 'text', get: ({ unit }) => unit.name },
+        { names: ['serial'], match: 'text', get: ({ unit }) => unit.serial },
+        { names: ['unittype'], match: 'text', get: ({ unit }) => formatUnitType(unit.unitTypeId) },
+        { names: ['group'], match: 'number', get: ({ group }) => group },
+        { names: ['channel', 'ch'], match: 'number', get: ({ channel }) => channel.number },
+        { names: ['name'], match: 'text', get: ({ channel }) => channel.name },
+        { names: ['dir', 'direction'], match: 'exact', get: ({ channel }) => channel.direction.name },
+        { names: ['type'], match: 'text', get: ({ channel }) => channelSetting(channel, 'sInMainChannelSettingId', 'sOutMainChannelSettingId') },
+        { names: ['subtype'], match: 'text', get: ({ channel }) => channelSetting(channel, 'sInChannelSettingId', 'sOutChannelSettingId') }
+    ],
+    component: [
+        { names: ['name'], match: 'text', get: comp => comp.name },
+        { names: ['pgn'], match: 'number', get: comp => comp.pgn },
+        { names: ['j1939'], match: 'text', get: comp => (getJ1939Pgn(comp.pgn) ? formatJ1939Name(getJ1939Pgn(comp.pgn)) : '') },
+        { names: ['device'], match: 'number', get: comp => (comp.device === -1 ? null : comp.device) },
+        { names: ['instance'], match: 'number', get: comp => (comp.instance === -1 ? null : comp.instance) },
+        { names: ['id'], match: 'exact', get: comp => comp.id },
+        { names: ['dir', 'direction'], match: 'exact', get: comp => comp.direction },
+        { names: ['tab', 'schema'], match: 'text', get: comp => comp.tabName }
+    ],
+    alarm: [
+        { names: ['id', 'alarm'], match: 'number', get: alarm => alarm.alarmId },
+        { names: ['name'], match: 'text', get: alarm => alarm.alarmName },
+        { names: ['schema', 'tab'], match: 'text', get: alarm => alarm.schemaName }
+    ],
+    memory: [
+        { names: ['schema', 'tab'], match: 'text', get: mem => mem.tabName },
+        // Every location the allocation covers, so location:12 finds a UDWord at 10
+        {
+            names: ['location', 'loc'],
+            match: 'number',
+            get: mem => (mem.location === null
+                ? null
+                : Array.from({ length: getLocationSpan(mem) }, (_, offset) => mem.location + offset))
+        },
+        { names: ['type'], match: 'text', get: mem => mem.type },
+        { names: ['bits'], match: 'number', get: mem => mem.bits }
+    ],
+    module: [
+        { names: ['product', 'pn'], match: 'text', get: line => line.productNumber },
+        { names: ['variant'], match: 'exact', get: line => line.variantNumber },
+        { names: ['name', 'description'], match: 'text', get: line => line.description },
+        { names: ['unittype'], match: 'text', get: line => (line.unitTypeId ? formatUnitType(line.unitTypeId) : '') },
+        { names: ['for'], match: 'text', get: line => line.for },
+        { names: ['quantity', 'qty'], match: 'number', get: line => line.quantity }
+    ],
+    problem: [
+        { names: ['severity'], match: 'exact', get: problem => problem.severity },
+        { names: ['category'], match: 'text', get: problem => problem.category },
+        { names: ['location'], match: 'text', get: problem => problem.location },
+        { names: ['message'], match: 'text', get: problem => problem.message }
+    ],
+    change: [
+        { names: ['section'], match: 'text', get: change => change.sectionTitle },
+        { names: ['kind', 'change'], match: 'exact', get: change => change.kind },
+        { names: ['item', 'name'], match: 'text', get: change => change.label },
+        { names: ['field'], match: 'text', get: change => change.fields.map(({ field }) => field) },
+        { names: ['before'], match: 'text', get: change => change.fields.map(({ before }) => before) },
+        { names: ['after'], match: 'text', get: change => change.fields.map(({ after }) => after) }
+    ]
+};
+
+/**
+ * Split a query into tokens: parentheses, operators and terms
+ * @throws {Error} On an unterminated quote
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    // A bare word runs to whitespace or a parenthesis; a quoted one to its closing quote
+    const readValue = () => {
+        if (text[i] === '"') {
+            const end = text.indexOf('"', i + 1);
+            if (end < 0) throw new Error('Missing closing quote');
+            const value = text.slice(i + 1, end);
+            i = end + 1;
+            return { value, quoted: true };
+        }
+        const start = i;
+        while (i < text.length && !/[\s()]/.test(text[i])) i++;
+        return { value: text.slice(start, i), quoted: false };
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char });
+            i++;
+        } else if (char === '-' && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) {
+            tokens.push({ type: 'NOT' });
+            i++;
+        } else {
+            const field = text.slice(i).match(/^([a-z][a-z0-9]*):/i);
+            if (field) i += field[0].length;
+
+            const { value, quoted } = readValue();
+            if (!field && !quoted && ['AND', 'OR', 'NOT'].includes(value)) {
+                tokens.push({ type: value });
+            } else {
+                tokens.push({ type: 'term', field: field ? field[1].toLowerCase() : null, value });
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Turn a term token into a term node, splitting off a comparison operator
+ */
+function createTerm({ field, value }) {
+    const op = field ? COMPARISONS.find(candidate => value.startsWith(candidate)) : undefined;
+    return op
+        ? { type: 'term', field, op, value: value.slice(op.length) }
+        : { type: 'term', field, op: '=', value };
+}
+
+/**
+ * Parse a query
+ * Grammar: or := and (OR and)*, and := not ([AND] not)*,
+ * not := (NOT | -) not | ( or ) | term
+ * @param {string} text - Query text
+ * @returns {Object|null} Compiled query { text, ast, fields }, null for an empty query
+ * @throws {Error} On a syntax error
+ */
+export function parseQuery(text) {
+    const tokens = tokenize(text ?? '');
+    if (tokens.length === 0) return null;
+
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    const parseOr = () => {
+        const items = [parseAnd()];
+        while (peek()?.type === 'OR') {
+            next();
+            items.push(parseAnd());
+        }
+        return items.length === 1 ? items[0] : { type: 'or', items };
+    };
+
+    const parseAnd = () => {
+        const items = [parseNot()];
+        while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+            if (peek().type === 'AND') next();
+            items.push(parseNot());
+        }
+        return items.length === 1 ? items[0] : { type: 'and', items };
+    };
+
+    const parseNot = () => {
+        const token = next();
+        if (!token) throw new Error('Query ends too early');
+
+        switch (token.type) {
+            case 'NOT':
+                return { type: 'not', item: parseNot() };
+            case '(': {
+                const item = parseOr();
+                if (next()?.type !== ')') throw new Error('Missing closing parenthesis');
+                return item;
+            }
+            case 'term':
+                return createTerm(token);
+            default:
+                throw new Error(`Unexpected ${token.type}`);
+        }
+    };
+
+    const ast = parseOr();
+    if (position < tokens.length) throw new Error(`Unexpected ${peek().type}`);
+
+    const fields = [...new Set(tokens.filter(token => token.type === 'term' && token.field).map(token => token.field))];
+    return { text, ast, fields };
+}
+
+/**
+ * Find a field of a record kind by name or alias
+ * @param {string} kind - Record kind (a key of QUERY_FIELDS)
+ * @param {string} name - Field name
+ * @returns {QueryField|undefined} Field definition
+ */
+function findField(kind, name) {
+    return QUERY_FIELDS[kind].find(field => field.names.includes(name));
+}
+
+/**
+ * List the field names a record kind can be searched on
+ * @param {string} kind - Record kind (a key of QUERY_FIELDS)
+ * @returns {Array<string>} Field names, without aliases
+ */
+export function getQueryFields(kind) {
+    return QUERY_FIELDS[kind].map(field => field.names[0]);
+}
+
+/**
+ * List the fields of a query a record kind doesn't have
+ * @param {Object} query - Compiled query from parseQuery
+ * @param {string} kind - Record kind
+ * @returns {Array<string>} Unknown field names
+ */
+export function getUnknownQueryFields(query, kind) {
+    return query ? query.fields.filter(name => !findField(kind, name)) : [];
+}
+
+/**
+ * Values of a field as an array, without empty ones
+ */
+function fieldValues(field, record) {
+    const value = field.get(record);
+    return (Array.isArray(value) ? value : [value]).filter(item => item !== null && item !== undefined && item !== '');
+}
+
+/**
+ * Match one field value against a term
+ */
+function matchValue(field, value, term) {
+    const needle = term.value.toLowerCase();
+
+    if (field.match === 'number' && term.value !== '' && !Number.isNaN(Number(term.value))) {
+        const number = Number(value);
+        const target = Number(term.value);
+        switch (term.op) {
+            case '>': return number > target;
+            case '>=': return number >= target;
+            case '<': return number < target;
+            case '<=': return number <= target;
+            default: return number === target;
+        }
+    }
+    if (field.match === 'text') return String(value).toLowerCase().includes(needle);
+    return String(value).toLowerCase() === needle;
+}
+
+/**
+ * Evaluate a query node against a record
+ */
+function evaluate(node, kind, record) {
+    switch (node.type) {
+        case 'and':
+            return node.items.every(item => evaluate(item, kind, record));
+        case 'or':
+            return node.items.some(item => evaluate(item, kind, record));
+        case 'not':
+            return !evaluate(node.item, kind, record);
+        default: {
+            // Free text is looked for in every field
+            if (!node.field) {
+                const needle = node.value.toLowerCase();
+                return QUERY_FIELDS[kind].some(field =>
+                    fieldValues(field, record).some(value => String(value).toLowerCase().includes(needle)));
+            }
+            // A field this kind doesn't have matches nothing
+            const field = findField(kind, node.field);
+            return Boolean(field) && fieldValues(field, record).some(value => matchValue(field, value, node));
+        }
+    }
+}
+
+/**
+ * Check whether a record matches a query
+ * @param {Object|null} query - Compiled query from parseQuery (null matches everything)
+ * @param {string} kind - Record kind (a key of QUERY_FIELDS)
+ * @param {Object} record - Record of that kind
+ * @returns {boolean} True when the record matches
+ */
+export function matchesQuery(query, kind, record) {
+    return !query || evaluate(query.ast, kind, record);
+}
+
+/**
+ * Build a record predicate for the display functions
+ * @param {Object|null} query - Compiled query from parseQuery
+ * @param {string} kind - Record kind
+ * @returns {Function|null} (record) => boolean, null without a query
+ */
+export function createQueryFilter(query, kind) {
+    return query ? record => matchesQuery(query, kind, record) : null;
+}
+
+/**
+ * Collect the text to highlight for a query: the values of free text and
+ * text field terms that aren't negated
+ * @param {Object|null} query - Compiled query from parseQuery
+ * @returns {Array<string>} Terms, longest first
+ */
+export function getHighlightTerms(query) {
+    const terms = new Set();
+
+    const collect = (node, negated) => {
+        if (node.type === 'not') {
+            collect(node.item, !negated);
+        } else if (node.type === 'and' || node.type === 'or') {
+            node.items.forEach(item => collect(item, negated));
+        } else if (!negated && node.value !== '' && (!node.field || Object.values(QUERY_FIELDS)
+            .some(fields => fields.some(field => field.names.includes(node.field) && field.match === 'text')))) {
+            terms.add(node.value);
+        }
+    };
+
+    if (query) collect(query.ast, false);
+    return [...terms].sort((a, b) => b.length - a.length);
+}
@@ -0,0 +1,357 @@
+/**
+ * Report Module
+ * Builds the tabular data behind the Units, NMEA Components, Alerts, Memory,
+ * Modules and Problems tabs, independent of the DOM, for CLI and file exports.
+ */
+
+import { escapeHtml } from './utils.js';
+import { getVisibleChannelGroups } from './ui.js';
+import { analyzeN2kCollisions } from './n2k-analyzer.js';
+import { getJ1939Pgn, formatJ1939Name, formatJ1939Signals } from './j1939-catalog.js';
+import { getUnitType } from './unit-types.js';
+import { analyzeChannels, getOverlapLabel } from './channel-analyzer.js';
+import { collectProblems } from './problems.js';
+import { buildCostedBom } from './price-list.js';
+import { MODULES, enrichUnitsWithModules, generateBOMFromUnits, findModuleByProductNumber, describeModuleSpecs } from '../modules.js';
+
+/**
+ * Get the decoded type/subtype matching a channel's actual direction
+ * @param {Object} channel - Parsed channel
+ * @returns {Object} { type, subtype } (empty strings when unused)
+ */
+export function getChannelType(channel) {
+    if (channel.direction.id === 1) { // INPUT
+        return { type: channel.sInMainChannelSettingId, subtype: channel.sInChannelSettingId };
+    }
+    if (channel.direction.id === 2) { // OUTPUT
+        return { type: channel.sOutMainChannelSettingId, subtype: channel.sOutChannelSettingId };
+    }
+    return { type: '', subtype: '' };
+}
+
+/**
+ * Capitalize a direction name for display (input -> Input)
+ * @param {string} name - Direction name
+ * @returns {string} Display name
+ */
+function formatDirection(name) {
+    return name ? name.charAt(0).toUpperCase() + name.slice(1) : '';
+}
+
+/**
+ * Build all report sections for a parsed project
+ * @param {Object} project - Project model from parseProject
+ * @param {Array} modulesList - Module definitions (defaults to MODULES)
+ * @param {Object} options - Optional { locationsByUnitId, priceList } (unit locations from
+ *   the export dialog; a price list from price-list.js adds the costed BOM section)
+ * @returns {Object} { metadata, sections: [{ id, title, columns, rows }] }; columns are
+ *   { key, label } plus hidden: true for columns the viewer's table hides until shown
+ */
+export function buildReport(project, modulesList = MODULES, { locationsByUnitId = {}, priceList = null } = {}) {
+    const units = enrichUnitsWithModules(project.units, modulesList);
+
+    return {
+        metadata: project.metadata,
+        sections: [
+            buildUnitsSection(units),
+            buildChannelsSection(units, analyzeChannels(project), locationsByUnitId),
+            buildComponentsSection(project.components),
+            buildAlertsSection(project.alarms),
+            buildMemorySection(project.memory),
+            buildModulesSection(units, modulesList),
+            ...(priceList ? [buildCostedBomSection(units, priceList)] : []),
+            buildProblemsSection(collectProblems(project, modulesList))
+        ]
+    };
+}
+
+/**
+ * Units section - one row per unit
+ */
+function buildUnitsSection(units) {
+    return {
+        id: 'units',
+        title: 'Units',
+        columns: [
+            { key: 'id', label: 'Unit ID' },
+            { key: 'name', label: 'Name' },
+            { key: 'serial', label: 'Serial Number' },
+            { key: 'unitTypeId', label: 'Unit Type ID' },
+            { key: 'unitType', label: 'Unit Type' },
+            { key: 'productNumber', label: 'Product Number' },
+            { key: 'variantNumber', label: 'Variant Number' }
+        ],
+        rows: units.map(unit => ({
+            id: unit.id,
+            name: unit.name,
+            serial: unit.serial,
+            unitTypeId: unit.unitTypeId,
+            unitType: getUnitType(unit.unitTypeId).name,
+            productNumber: unit.productNumber,
+            variantNumber: unit.standardUnitVariantNumber
+        }))
+    };
+}
+
+/**
+ * Channels section - one row per visible channel, as in the Units tab,
+ * flagging channels claimed by conflicting components
+ */
+function buildChannelsSection(units, { overlapsByChannelId }, locationsByUnitId) {
+    const rows = [];
+
+    units.forEach(unit => {
+        getVisibleChannelGroups(unit.channels, unit.unitTypeId).forEach((group, groupIndex) => {
+            group.channels.forEach(channel => {
+                const { type, subtype } = getChannelType(channel);
+                rows.push({
+                    unitId: unit.id,
+                    unitName: unit.name,
+                    location: locationsByUnitId[String(unit.id)] || '',
+                    group: groupIndex + 1,
+                    number: channel.number,
+                    name: channel.name,
+                    direction: formatDirection(channel.direction.name),
+                    type,
+                    subtype,
+                    conflict: overlapsByChannelId.has(channel.combiId)
+                        ? getOverlapLabel(overlapsByChannelId.get(channel.combiId))
+                        : ''
+                });
+            });
+        });
+    });
+
+    return {
+        id: 'channels',
+        title: 'Channels',
+        columns: [
+            { key: 'unitId', label: 'Unit ID' },
+            { key: 'unitName', label: 'Unit Name' },
+            { key: 'location', label: 'Location' },
+            { key: 'group', label: 'Group' },
+            { key: 'number', label: 'Channel' },
+            { key: 'name', label: 'Channel Name' },
+            { key: 'direction', label: 'Direction' },
+            { key: 'type', label: 'Type' },
+            { key: 'subtype', label: 'Subtype' },
+            { key: 'conflict', label: 'Conflict' }
+        ],
+        rows
+    };
+}
+
+/**
+ * Describe a component's PGN from the J1939 catalog, empty for other PGNs
+ */
+function formatJ1939(pgn, format) {
+    const entry = getJ1939Pgn(pgn);
+    return entry ? format(entry) : '';
+}
+
+/**
+ * NMEA 2000 components section - flags transmitted instance collisions
+ */
+function buildComponentsSection(components) {
+    const { conflicting } = analyzeN2kCollisions(components);
+
+    return {
+        id: 'components',
+        title: 'NMEA 2000 Components',
+        columns: [
+            { key: 'name', label: 'PGN Name' },
+            { key: 'pgn', label: 'PGN Number' },
+            { key: 'j1939Name', label: 'J1939 PGN' },
+            { key: 'device', label: 'Device' },
+            { key: 'instance', label: 'Instance' },
+            { key: 'id', label: 'ID' },
+            { key: 'direction', label: 'Direction' },
+            { key: 'tabName', label: 'Tab' },
+            { key: 'conflict', label: 'Conflict' },
+            { key: 'j1939Source', label: 'J1939 Source Address' },
+            { key: 'j1939Signals', label: 'J1939 Signals' }
+        ],
+        rows: components.map(comp => ({
+            name: comp.name,
+            pgn: comp.pgn,
+            j1939Name: formatJ1939(comp.pgn, formatJ1939Name),
+            j1939Source: formatJ1939(comp.pgn, entry => entry.source),
+            j1939Signals: formatJ1939(comp.pgn, formatJ1939Signals),
+            device: comp.device !== null && comp.device !== -1 ? comp.device : '',
+            instance: comp.instance !== null && comp.instance !== -1 ? comp.instance : '',
+            id: comp.id,
+            direction: comp.direction,
+            tabName: comp.tabName,
+            conflict: conflicting.has(comp) ? 'instance collision' : ''
+        }))
+    };
+}
+
+/**
+ * Alerts section
+ */
+function buildAlertsSection(alarms) {
+    return {
+        id: 'alerts',
+        title: 'Alarms',
+        columns: [
+            { key: 'alarmId', label: 'Alarm ID' },
+            { key: 'alarmName', label: 'Alarm Name' },
+            { key: 'schemaName', label: 'Schema' }
+        ],
+        rows: alarms.map(alarm => ({
+            alarmId: alarm.alarmId,
+            alarmName: alarm.alarmName,
+            schemaName: alarm.schemaName
+        }))
+    };
+}
+
+/**
+ * Memory section
+ */
+function buildMemorySection(memory) {
+    return {
+        id: 'memory',
+        title: 'Memory Allocations',
+        columns: [
+            { key: 'tabName', label: 'Schema' },
+            { key: 'location', label: 'Memory Location' },
+            { key: 'type', label: 'Type' },
+            { key: 'bits', label: 'Bits' }
+        ],
+        rows: memory.map(mem => ({
+            tabName: mem.tabName,
+            location: mem.location,
+            type: mem.type,
+            bits: mem.bits
+        }))
+    };
+}
+
+/**
+ * Modules section - the Bill of Materials with the catalog specs
+ */
+function buildModulesSection(units, modulesList) {
+    return {
+        id: 'modules',
+        title: 'Bill of Materials',
+        columns: [
+            { key: 'quantity', label: 'Quantity' },
+            { key: 'productNumber', label: 'Product Number' },
+            { key: 'variantNumber', label: 'Variant Number', hidden: true },
+            { key: 'productName', label: 'Product Name' },
+            { key: 'unitType', label: 'Unit Type' },
+            { key: 'channels', label: 'Channels' },
+            { key: 'maxOutputCurrent', label: 'Max Output Current' },
+            { key: 'connectors', label: 'Connectors' },
+            { key: 'firmware', label: 'Firmware' }
+        ],
+        rows: generateBOMFromUnits(units).map(item => ({
+            quantity: item.quantity,
+            productNumber: item.productNumber,
+            variantNumber: item.variantNumber,
+            unitType: getUnitType(item.unitTypeId).name,
+            ...describeModuleSpecs(findModuleByProductNumber(item.productNumber, modulesList), item)
+        }))
+    };
+}
+
+/**
+ * Costed BOM section - modules and accessories priced from a price list,
+ * closed by a total row
+ */
+function buildCostedBomSection(units, priceList) {
+    const { currency, lines, total } = buildCostedBom(units, priceList);
+    const inCurrency = label => (currency ? `${label} (${currency})` : label);
+
+    return {
+        id: 'costed-bom',
+        title: 'Costed BOM',
+        columns: [
+            { key: 'kind', label: 'Type' },
+            { key: 'quantity', label: 'Quantity' },
+            { key: 'productNumber', label: 'Product Number' },
+            { key: 'description', label: 'Description' },
+            { key: 'for', label: 'For' },
+            { key: 'unitPrice', label: inCurrency('Unit Price') },
+            { key: 'lineTotal', label: inCurrency('Line Total') }
+        ],
+        rows: [
+            ...lines.map(line => ({
+                ...line,
+                kind: line.kind === 'module' ? 'Module' : 'Accessory'
+            })),
+            { kind: 'Total', lineTotal: total }
+        ]
+    };
+}
+
+/**
+ * Problems section - one row per problem, errors first
+ */
+function buildProblemsSection(problems) {
+    return {
+        id: 'problems',
+        title: 'Problems',
+        columns: [
+            { key: 'severity', label: 'Severity' },
+            { key: 'category', label: 'Category' },
+            { key: 'location', label: 'Location' },
+            { key: 'message', label: 'Problem' }
+        ],
+        rows: problems.map(({ severity, category, location, message }) => ({ severity, category, location, message }))
+    };
+}
+
+/**
+ * Render a report as a standalone HTML document
+ * @param {Object} report - Report from buildReport
+ * @param {string} title - Document title
+ * @returns {string} HTML document
+ */
+export function renderHtmlReport(report, title = 'EBP Report') {
+    const { metadata, sections } = report;
+    let html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 1200px; margin: 0 auto; padding: 20px; color: #333; }
+h1 { font-family: Georgia, 'Times New Roman', serif; }
+h2 { border-bottom: 2px solid #F1331B; padding-bottom: 6px; margin-top: 32px; }
+table { width: 100%; border-collapse: collapse; font-size: 13px; }
+th, td { padding: 6px 10px; border: 1px solid #ddd; text-align: left; }
+th { background: #f8f9fa; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; }
+dt { color: #666; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+`;
+
+    if (metadata) {
+        html += '<dl>';
+        html += `<dt>Firmware</dt><dd>${escapeHtml(metadata.firmware)}</dd>`;
+        html += `<dt>Studio Version</dt><dd>${escapeHtml(metadata.studioVersion)}</dd>`;
+        html += `<dt>Format Version</dt><dd>${escapeHtml(metadata.formatVersion)}</dd>`;
+        html += `<dt>Saved</dt><dd>${escapeHtml(metadata.savedAtUtc)}</dd>`;
+        html += '</dl>\n';
+    }
+
+    sections.forEach(section => {
+        html += `<h2>${escapeHtml(section.title)} (${section.rows.length})</h2>\n`;
+        html += '<table><thead><tr>';
+        html += section.columns.map(column => `<th>${escapeHtml(column.label)}</th>`).join('');
+        html += '</tr></thead><tbody>\n';
+        section.rows.forEach(row => {
+            html += '<tr>' + section.columns.map(column => `<td>${escapeHtml(row[column.key])}</td>`).join('') + '</tr>\n';
+        });
+        html += '</tbody></table>\n';
+    });
+
+    html += '</body>\n</html>\n';
+    return html;
+}
@@ -4,6 +4,17 @@
  */
 
 import { escapeHtml, getDirectionIcon, getDirectionColor } from './utils.js';
+import { analyzeMemory, describeMemoryConflict, getLocationSpan, buildMemoryMap, MEMORY_WIDTHS, MEMORY_MAP_COLUMNS } from './memory-analyzer.js';
+import { analyzeAlarms, describeAlarmIssues } from './alarm-analyzer.js';
+import { analyzeN2kCollisions, describeN2kCollision } from './n2k-analyzer.js';
+import { getJ1939Pgn, formatJ1939Name, formatJ1939Signals } from './j1939-catalog.js';
+import { describeChannelIssues, getOverlapLabel } from './channel-analyzer.js';
+import { getRowKey, countProblems } from './problems.js';
+import { getUnitType, formatUnitType } from './unit-types.js';
+import { enrichUnitsWithModules, generateBOMFromUnits, findModuleByProductNumber, describeModuleSpecs } from '../modules.js';
+import { buildCostedBom } from './price-list.js';
+import { mountDataTable } from './data-table.js';
+import { getEntryLabels } from './workspace.js';
 
 /**
  * Display units in the results container
@@ -12,8 +23,9 @@ import { escapeHtml, getDirectionIcon, getDirectionColor } from './utils.js';
  * @param {Object} metadata - Optional project metadata to display
  * @param {boolean} hasSearch - Whether search is active (auto-expands sections)
  * @param {Array} alarms - Optional array of alarm objects (no longer displayed here)
+ * @param {Object} channelAnalysis - Optional result of analyzeChannels for the whole project
  */
-export function displayUnits(units, container, metadata = null, hasSearch = false, alarms = []) {
+export function displayUnits(units, container, metadata = null, hasSearch = false, alarms = [], channelAnalysis = null) {
     container.style.display = 'block';
 
     let html = '';
@@ -25,8 +37,13 @@ export function displayUnits(units, container, metadata = null, hasSearch = fals
 
     // Alarms are now displayed in their own tab, not here
 
+    if (channelAnalysis) {
+        html += renderIssueGroups(describeChannelIssues(channelAnalysis), 'No channel overlaps or missing channels');
+    }
+
+    const overlapsByChannelId = channelAnalysis ? channelAnalysis.overlapsByChannelId : new Map();
     units.forEach((unit) => {
-        html += renderUnitCard(unit, hasSearch);
+        html += renderUnitCard(unit, hasSearch, overlapsByChannelId);
     });
 
     container.innerHTML = html;
@@ -35,15 +52,108 @@ export function displayUnits(units, container, metadata = null, hasSearch = fals
     attachExpandListeners(container);
 }
 
+/**
+ * Display search results from every open project, one group per project
+ * @param {Array<Object>} results - [{ entry, label, units }] from searchWorkspace
+ * @param {HTMLElement} container - Container element
+ * @param {Function} onSelectProject - Optional callback (entry) => void for the group headers
+ */
+export function displayWorkspaceSearch(results, container, onSelectProject = null) {
+    container.style.display = 'block';
+
+    const projectCount = results.length;
+    let html = `<p style="margin-bottom: 15px; color: #666;">Matches in ${projectCount} open project${projectCount !== 1 ? 's' : ''}</p>`;
+
+    results.forEach(({ entry, label, units }) => {
+        html += `<div class="workspace-result-header" data-entry-id="${entry.id}">`;
+        html += `<strong>📁 ${escapeHtml(label)}</strong>`;
+        html += `<span>${units.length} unit${units.length !== 1 ? 's' : ''}</span>`;
+        html += '</div>';
+        units.forEach(unit => {
+            html += renderUnitCard(unit, true, entry.channelAnalysis.overlapsByChannelId);
+        });
+    });
+
+    container.innerHTML = html;
+
+    attachExpandListeners(container);
+
+    if (onSelectProject) {
+        container.querySelectorAll('.workspace-result-header').forEach(header => {
+            const { entry } = results.find(result => result.entry.id === Number(header.dataset.entryId));
+            header.addEventListener('click', () => onSelectProject(entry));
+        });
+    }
+}
+
+/**
+ * Display the list of open projects
+ * Files with the same name are told apart by the labels from getEntryLabels.
+ * @param {Array<Object>} entries - Workspace entries
+ * @param {HTMLElement} container - Container element
+ * @param {Object} state - { activeId, compareId } of the shown and compared projects
+ * @param {Object} handlers - { onSelect, onClose, onCompare }, called with the entry (onCompare with null to stop comparing)
+ */
+export function displayProjectList(entries, container, { activeId, compareId = null }, { onSelect, onClose, onCompare }) {
+    const labels = getEntryLabels(entries);
+    let html = '';
+
+    entries.forEach(entry => {
+        const { error } = countProblems(entry.problems);
+        const saved = entry.project.metadata ? formatDate(entry.project.metadata.savedAtUtc) : 'save time unknown';
+        const label = labels.get(entry.id);
+
+        html += `<div class="project-chip${entry.id === activeId ? ' active' : ''}" data-entry-id="${entry.id}" title="${escapeHtml(label)}">`;
+        html += `<span class="project-chip-name">${escapeHtml(label)}</span>`;
+        html += `<span class="project-chip-meta">${entry.units.length} unit${entry.units.length !== 1 ? 's' : ''} · ${escapeHtml(saved)}</span>`;
+        if (entry.problems.length > 0) {
+            html += `<span class="tab-badge${error > 0 ? ' error' : ''}">${entry.problems.length}</span>`;
+        }
+        html += `<button type="button" class="project-chip-close" title="Close ${escapeHtml(label)}" aria-label="Close ${escapeHtml(label)}">×</button>`;
+        html += '</div>';
+    });
+
+    // Any other open project can be compared with the one shown
+    const others = entries.filter(entry => entry.id !== activeId);
+    if (others.length > 0) {
+        html += '<label class="project-compare">Compare with ';
+        html += '<select class="project-compare-select">';
+        html += `<option value=""${compareId === null ? ' selected' : ''}>-</option>`;
+        others.forEach(entry => {
+            html += `<option value="${entry.id}"${entry.id === compareId ? ' selected' : ''}>${escapeHtml(labels.get(entry.id))}</option>`;
+        });
+        html += '</select></label>';
+    }
+
+    container.innerHTML = html;
+
+    const findEntry = (id) => entries.find(entry => entry.id === Number(id));
+
+    container.querySelectorAll('.project-chip').forEach(chip => {
+        const entry = findEntry(chip.dataset.entryId);
+        chip.addEventListener('click', () => onSelect(entry));
+        chip.querySelector('.project-chip-close').addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClose(entry);
+        });
+    });
+
+    const select = container.querySelector('.project-compare-select');
+    if (select) {
+        select.addEventListener('change', () => onCompare(select.value ? findEntry(select.value) : null));
+    }
+}
+
 /**
  * Render a single unit card
  * @param {Object} unit - Unit object
  * @param {boolean} hasSearch - Whether search is active
+ * @param {Map} overlapsByChannelId - Channel overlaps keyed by combiId
  * @returns {string} HTML string
  */
-function renderUnitCard(unit, hasSearch = false) {
+function renderUnitCard(unit, hasSearch = false, overlapsByChannelId = new Map()) {
     return `
-        <div class="unit-card">
+        <div class="unit-card" data-row-key="${escapeHtml(getRowKey('unit', unit))}">
             <div class="unit-header">
                 <div class="unit-name">${escapeHtml(unit.name)}</div>
                 <div class="unit-id">ID: ${escapeHtml(unit.id)}</div>
@@ -55,8 +165,8 @@ function renderUnitCard(unit, hasSearch = false) {
                     <div class="detail-value">${escapeHtml(unit.serial)}</div>
                 </div>
                 <div class="detail-item">
-                    <div class="detail-label">Unit Type ID</div>
-                    <div class="detail-value">${escapeHtml(unit.unitTypeId)}</div>
+                    <div class="detail-label">Unit Type</div>
+                    <div class="detail-value">${escapeHtml(formatUnitType(unit.unitTypeId))}</div>
                 </div>
                 <div class="detail-item">
                     <div class="detail-label">Product Number</div>
@@ -64,7 +174,7 @@ function renderUnitCard(unit, hasSearch = false) {
                 </div>
             </div>
 
-            ${renderChannels(unit.channels, unit.unitTypeId, hasSearch)}
+            ${renderChannels(unit.channels, unit.unitTypeId, hasSearch, overlapsByChannelId)}
         </div>
     `;
 }
@@ -125,24 +235,15 @@ function renderProjectAlarms(alarms, autoExpand = false) {
 /**
  * Determine which channel groups should be visible for a given unit type.
  * Some unit types intentionally hide or limit channel groups (e.g. Connect 50
- * only exposes its first physical connector group; MCUv1 has no user-facing channels).
+ * only exposes its first physical connector group; MCUv1 has no user-facing channels),
+ * see visibleGroups in unit-types.js.
  * @param {Array} channelGroups - Array of channel groups from a parsed unit
  * @param {string} unitTypeId - The unit's unitTypeId attribute
  * @returns {Array} Filtered array of channel groups to display
  */
 export function getVisibleChannelGroups(channelGroups, unitTypeId) {
-    if (unitTypeId === '16' || unitTypeId === '20') {
-        // Connect 50: show only group 1
-        return channelGroups.slice(0, 1);
-    } else if (unitTypeId === '101') {
-        // MCUv1 : show no channels
-        return [];
-    } else if (unitTypeId === '105') {
-        // MCUv2: show groups 1 and 2
-        return channelGroups.slice(0, 2);
-    }
-    // All other units: show all groups
-    return channelGroups;
+    const { visibleGroups } = getUnitType(unitTypeId);
+    return visibleGroups === null ? channelGroups : channelGroups.slice(0, visibleGroups);
 }
 
 /**
@@ -150,9 +251,10 @@ export function getVisibleChannelGroups(channelGroups, unitTypeId) {
  * @param {Array} channelGroups - Array of channel groups
  * @param {string} unitTypeId - The unit type ID
  * @param {boolean} autoExpand - Whether to auto-expand the section
+ * @param {Map} overlapsByChannelId - Channel overlaps keyed by combiId
  * @returns {string} HTML string
  */
-function renderChannels(channelGroups, unitTypeId, autoExpand = false) {
+function renderChannels(channelGroups, unitTypeId, autoExpand = false, overlapsByChannelId = new Map()) {
     if (!channelGroups || channelGroups.length === 0) {
         return '';
     }
@@ -207,8 +309,10 @@ function renderChannels(channelGroups, unitTypeId, autoExpand = false) {
                 channelSubtype = channel.sOutChannelSettingId;
             }
 
+            const overlap = overlapsByChannelId.get(channel.combiId);
+
             html += `
-                <div class="channel-item" style="border-left: 4px solid ${directionColor}">
+                <div class="channel-item${overlap ? ' channel-conflict' : ''}" data-row-key="${getRowKey('channel', channel)}" style="border-left: 4px solid ${directionColor}">
                     <div class="channel-header">
                         <span class="channel-number">#${escapeHtml(channel.number)}</span>
                         <span class="channel-direction" style="color: ${directionColor}">
@@ -218,6 +322,7 @@ function renderChannels(channelGroups, unitTypeId, autoExpand = false) {
                     <div class="channel-name">${escapeHtml(channel.name)}</div>
                     ${channelType ? `<div class="channel-type" style="font-size: 12px; color: #666; margin-top: 4px;">${escapeHtml(channelType)}</div>` : ''}
                     ${channelSubtype ? `<div class="channel-subtype" style="font-size: 11px; color: #888; margin-top: 2px;">${escapeHtml(channelSubtype)}</div>` : ''}
+                    ${overlap ? `<div class="channel-overlap">⚠️ ${escapeHtml(getOverlapLabel(overlap))}</div>` : ''}
                 </div>
             `;
         });
@@ -338,11 +443,14 @@ function formatDate(utcString) {
 
 /**
  * Display NMEA 2000 components in a table
+ * Transmitted components that collide on the bus are highlighted.
  * @param {Array} components - Array of component objects
  * @param {HTMLElement} container - Container element
  * @param {Object} metadata - Optional project metadata
+ * @param {Function} matches - Optional search filter (component) => boolean; collisions
+ *   are still checked on every component
  */
-export function displayComponents(components, container, metadata = null) {
+export function displayComponents(components, container, metadata = null, matches = null) {
     container.style.display = 'block';
 
     let html = '';
@@ -351,40 +459,62 @@ export function displayComponents(components, container, metadata = null) {
         html += renderMetadata(metadata);
     }
 
+    const { collisions, conflicting } = analyzeN2kCollisions(components);
+    const shown = matches ? components.filter(matches) : components;
+
     html += '<div class="content-card" style="padding: 20px; background: white; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">';
     html += '<h3>📡 NMEA 2000 Components</h3>';
-    html += `<p style="margin-bottom: 15px; color: #666;">Found ${components.length} component${components.length !== 1 ? 's' : ''}</p>`;
-    html += '<div style="overflow-x: auto;"><table><thead><tr>';
-    html += '<th>PGN Name</th><th>PGN Number</th><th>Device</th><th>Instance</th><th>ID</th><th>Direction</th><th>Tab</th>';
-    html += '</tr></thead><tbody>';
+    html += `<p style="margin-bottom: 15px; color: #666;">Found ${components.length} component${components.length !== 1 ? 's' : ''}${renderShownCount(shown, matches)}</p>`;
+    html += renderIssueBanner(
+        collisions.map(describeN2kCollision),
+        `${collisions.length} instance collision${collisions.length !== 1 ? 's' : ''} on transmitted PGNs`,
+        'No instance collisions on transmitted PGNs'
+    );
+    html += '<div class="data-table-mount"></div></div>';
 
-    components.forEach(comp => {
-        const device = comp.device !== null && comp.device !== -1 ? comp.device : '';
-        const instance = comp.instance !== null && comp.instance !== -1 ? comp.instance : '';
+    container.innerHTML = html;
 
-        html += '<tr>';
-        html += `<td>${escapeHtml(comp.name)}</td>`;
-        html += `<td>${comp.pgn}</td>`;
-        html += `<td>${device}</td>`;
-        html += `<td>${instance}</td>`;
-        html += `<td>${escapeHtml(comp.id)}</td>`;
-        html += `<td>${escapeHtml(comp.direction)}</td>`;
-        html += `<td>${escapeHtml(comp.tabName)}</td>`;
-        html += '</tr>';
+    // Catalog name below the component name, signals and source address on hover
+    const j1939 = comp => getJ1939Pgn(comp.pgn);
+    const renderName = comp => {
+        let cell = escapeHtml(comp.name);
+        if (j1939(comp)) {
+            const details = `Source address: ${j1939(comp).source}\nSignals: ${formatJ1939Signals(j1939(comp))}`;
+            cell += `<div style="font-size: 12px; color: #666;" title="${escapeHtml(details)}">${escapeHtml(formatJ1939Name(j1939(comp)))}</div>`;
+        }
+        return cell;
+    };
+
+    mountDataTable(container.querySelector('.data-table-mount'), {
+        id: 'components',
+        rows: shown,
+        columns: [
+            { key: 'name', label: 'PGN Name', value: comp => comp.name, html: renderName },
+            { key: 'pgn', label: 'PGN Number', value: comp => comp.pgn, groupable: true },
+            { key: 'j1939Name', label: 'J1939 PGN', value: comp => (j1939(comp) ? formatJ1939Name(j1939(comp)) : '') },
+            { key: 'device', label: 'Device', value: comp => (comp.device !== null && comp.device !== -1 ? comp.device : '') },
+            { key: 'instance', label: 'Instance', value: comp => (comp.instance !== null && comp.instance !== -1 ? comp.instance : '') },
+            { key: 'id', label: 'ID', value: comp => comp.id, groupable: true },
+            { key: 'direction', label: 'Direction', value: comp => comp.direction, groupable: true },
+            { key: 'tabName', label: 'Tab', value: comp => comp.tabName, groupable: true },
+            { key: 'conflict', label: 'Conflict', value: comp => (conflicting.has(comp) ? 'instance collision' : '') },
+            { key: 'j1939Source', label: 'J1939 Source Address', value: comp => j1939(comp)?.source ?? '' },
+            { key: 'j1939Signals', label: 'J1939 Signals', value: comp => (j1939(comp) ? formatJ1939Signals(j1939(comp)) : '') }
+        ],
+        rowKey: comp => getRowKey('component', comp),
+        rowClass: comp => (conflicting.has(comp) ? 'row-conflict' : '')
     });
-
-    html += '</tbody></table></div></div>';
-
-    container.innerHTML = html;
 }
 
 /**
  * Display alerts in a detailed table
+ * Alarm numbering issues are shown as grouped warnings above the table.
  * @param {Array} alerts - Array of alert objects
  * @param {HTMLElement} container - Container element
  * @param {Object} metadata - Optional project metadata
+ * @param {Function} matches - Optional search filter (alert) => boolean
  */
-export function displayAlertsDetailed(alerts, container, metadata = null) {
+export function displayAlertsDetailed(alerts, container, metadata = null, matches = null) {
     container.style.display = 'block';
 
     let html = '';
@@ -393,33 +523,43 @@ export function displayAlertsDetailed(alerts, container, metadata = null) {
         html += renderMetadata(metadata);
     }
 
+    const analysis = analyzeAlarms(alerts);
+    const missingName = new Set(analysis.missingName);
+    const shown = matches ? alerts.filter(matches) : alerts;
+
     html += '<div class="alarms-card"><div class="alarms-header">';
     html += '<h3>🔔 Alarms</h3>';
-    html += `<span class="alarms-count">${alerts.length} alarm${alerts.length !== 1 ? 's' : ''}</span>`;
-    html += '</div><div style="overflow-x: auto;"><table class="alarms-table"><thead><tr>';
-    html += '<th>Alarm ID</th><th>Alarm Name</th><th>Schema</th>';
-    html += '</tr></thead><tbody>';
-
-    alerts.forEach(alert => {
-        html += '<tr>';
-        html += `<td class="alarm-id-cell">${escapeHtml(alert.alarmId)}</td>`;
-        html += `<td class="alarm-name-cell">${escapeHtml(alert.alarmName)}</td>`;
-        html += `<td class="alarm-schema-cell">${escapeHtml(alert.schemaName)}</td>`;
-        html += '</tr>';
-    });
-
-    html += '</tbody></table></div></div>';
+    html += `<span class="alarms-count">${alerts.length} alarm${alerts.length !== 1 ? 's' : ''}${renderShownCount(shown, matches)}</span>`;
+    html += '</div>';
+    html += renderIssueGroups(describeAlarmIssues(analysis), 'No alarm ID conflicts');
+    html += '<div class="data-table-mount"></div></div>';
 
     container.innerHTML = html;
+
+    mountDataTable(container.querySelector('.data-table-mount'), {
+        id: 'alerts',
+        className: 'alarms-table',
+        rows: shown,
+        columns: [
+            { key: 'alarmId', label: 'Alarm ID', value: alert => alert.alarmId, className: 'alarm-id-cell' },
+            { key: 'alarmName', label: 'Alarm Name', value: alert => alert.alarmName, className: 'alarm-name-cell' },
+            { key: 'schemaName', label: 'Schema', value: alert => alert.schemaName, className: 'alarm-schema-cell', groupable: true }
+        ],
+        rowKey: alert => getRowKey('alarm', alert),
+        rowClass: alert => (analysis.flagged.has(alert) ? 'row-conflict' : missingName.has(alert) ? 'row-warning' : '')
+    });
 }
 
 /**
  * Display memory allocations in a table
+ * Conflicting allocations are highlighted and summarized in a banner.
  * @param {Array} memory - Array of memory objects
  * @param {HTMLElement} container - Container element
  * @param {Object} metadata - Optional project metadata
+ * @param {Function} matches - Optional search filter (allocation) => boolean; conflicts
+ *   are still checked on every allocation
  */
-export function displayMemory(memory, container, metadata = null) {
+export function displayMemory(memory, container, metadata = null, matches = null) {
     container.style.display = 'block';
 
     let html = '';
@@ -428,24 +568,413 @@ export function displayMemory(memory, container, metadata = null) {
         html += renderMetadata(metadata);
     }
 
+    const { conflicts, conflicting } = analyzeMemory(memory);
+    const shown = matches ? memory.filter(matches) : memory;
+
     html += '<div style="padding: 20px; background: white; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">';
     html += '<h3>💾 Memory Allocations</h3>';
-    html += `<p style="margin-bottom: 15px; color: #666;">Found ${memory.length} memory allocation${memory.length !== 1 ? 's' : ''}</p>`;
-    html += '<div style="overflow-x: auto;"><table><thead><tr>';
-    html += '<th>Schema</th><th>Memory Location</th><th>Bits</th>';
-    html += '</tr></thead><tbody>';
+    html += `<p style="margin-bottom: 15px; color: #666;">Found ${memory.length} memory allocation${memory.length !== 1 ? 's' : ''}${renderShownCount(shown, matches)}</p>`;
+    html += renderIssueBanner(
+        conflicts.map(describeMemoryConflict),
+        `${conflicts.length} memory conflict${conflicts.length !== 1 ? 's' : ''} found`,
+        'No memory conflicts'
+    );
+    html += '<div class="data-table-mount"></div></div>';
+    html += renderMemoryMap(memory, matches);
 
-    memory.forEach(mem => {
-        html += '<tr>';
-        html += `<td>${mem.tabName}</td>`;
-        html += `<td>${mem.location}</td>`;
-        html += `<td>${mem.bits}</td>`;
-        html += '</tr>';
+    container.innerHTML = html;
+
+    // A used location in the map scrolls to its allocation in the table
+    container.querySelectorAll('.memory-cell[data-memory-key]').forEach(cell => {
+        cell.addEventListener('click', () => highlightRow(container, cell.dataset.memoryKey));
     });
 
-    html += '</tbody></table></div></div>';
+    // Allocations over several locations show their range
+    const renderLocation = mem => {
+        const span = getLocationSpan(mem);
+        return escapeHtml(span > 1 && mem.location !== null ? `${mem.location}-${mem.location + span - 1}` : mem.location);
+    };
+
+    mountDataTable(container.querySelector('.data-table-mount'), {
+        id: 'memory',
+        rows: shown,
+        columns: [
+            { key: 'tabName', label: 'Schema', value: mem => mem.tabName, groupable: true },
+            { key: 'location', label: 'Memory Location', value: mem => mem.location, html: renderLocation },
+            { key: 'type', label: 'Type', value: mem => mem.type, groupable: true },
+            { key: 'bits', label: 'Bits', value: mem => mem.bits, groupable: true }
+        ],
+        rowKey: mem => getRowKey('memory', mem),
+        rowClass: mem => (conflicting.has(mem) ? 'row-conflict' : '')
+    });
+}
+
+/**
+ * Render the memory map card: one cell per location coloured by type, overlaps
+ * in red, and the next free block per data width
+ * Rows without allocations between used rows are collapsed into one line.
+ * Allocations that don't match the search are dimmed.
+ */
+function renderMemoryMap(memory, matches) {
+    const { rows, freeBlocks } = buildMemoryMap(memory);
+    const typeClass = allocation => `memory-${allocation.type.split(' ')[0].toLowerCase()}`;
+    const range = (start, end) => (start === end ? `${start}` : `${start}-${end}`);
+    const describe = allocation =>
+        `${allocation.type} at ${range(allocation.location, allocation.location + getLocationSpan(allocation) - 1)} in ${allocation.tabName || 'unnamed schema'}`;
+
+    const unlocated = memory.filter(allocation => !Number.isInteger(allocation.location) || allocation.location < 0).length;
+
+    let html = '<div style="margin-top: 20px; padding: 20px; background: white; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">';
+    html += '<h3>🗺️ Memory Map</h3>';
+    html += `<p style="margin-bottom: 10px; color: #666;">Next free block: ${freeBlocks.map(({ type, start, end }) => `${type} at <strong>${range(start, end)}</strong>`).join(' · ')}`;
+    if (unlocated > 0) {
+        html += ` | ${unlocated} allocation${unlocated !== 1 ? 's' : ''} without a location not shown`;
+    }
+    html += '</p>';
+
+    html += '<div class="memory-legend">';
+    MEMORY_WIDTHS.forEach(({ type }) => {
+        html += `<span><span class="memory-cell memory-${type.toLowerCase()}"></span>${type}</span>`;
+    });
+    html += '<span><span class="memory-cell"></span>Free</span>';
+    html += '<span><span class="memory-cell memory-conflict"></span>Overlap</span>';
+    html += '</div>';
+
+    html += '<div class="memory-map">';
+    let nextStart = 0;
+    rows.forEach(({ start: rowStart, cells }) => {
+        if (rowStart > nextStart) {
+            html += `<div class="memory-map-gap">Locations ${nextStart}-${rowStart - 1} free</div>`;
+        }
+        nextStart = rowStart + MEMORY_MAP_COLUMNS;
+
+        html += `<div class="memory-map-row"><span class="memory-map-address">${rowStart}</span>`;
+        cells.forEach((allocations, offset) => {
+            const location = rowStart + offset;
+            if (allocations.length === 0) {
+                html += `<span class="memory-cell" title="Location ${location}: free"></span>`;
+                return;
+            }
+
+            const classes = ['memory-cell', typeClass(allocations[0])];
+            if (allocations.length > 1) classes.push('memory-conflict');
+            if (matches && !allocations.some(matches)) classes.push('memory-dimmed');
+            const title = `Location ${location}: ${allocations.map(describe).join('\n')}`;
+
+            html += `<span class="${classes.join(' ')}" title="${escapeHtml(title)}" data-memory-key="${escapeHtml(getRowKey('memory', allocations[0]))}"></span>`;
+        });
+        html += '</div>';
+    });
+    html += '</div></div>';
+
+    return html;
+}
+
+/**
+ * Display every project problem in one table
+ * Rows that point at a tab row are clickable and call onSelect with the problem.
+ * @param {Array} problems - Problems from collectProblems
+ * @param {HTMLElement} container - Container element
+ * @param {Object} metadata - Optional project metadata
+ * @param {Function} onSelect - Optional callback (problem) => void
+ * @param {Function} matches - Optional search filter (problem) => boolean
+ */
+export function displayProblems(problems, container, metadata = null, onSelect = null, matches = null) {
+    container.style.display = 'block';
+
+    let html = '';
+
+    if (metadata) {
+        html += renderMetadata(metadata);
+    }
+
+    const counts = countProblems(problems);
+    const shown = matches ? problems.filter(matches) : problems;
+
+    html += '<div style="padding: 20px; background: white; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">';
+    html += '<h3>🩺 Problems</h3>';
+    html += `<p style="margin-bottom: 15px; color: #666;">${counts.error} error${counts.error !== 1 ? 's' : ''}, ${counts.warning} warning${counts.warning !== 1 ? 's' : ''}${renderShownCount(shown, matches)}</p>`;
+
+    if (problems.length === 0) {
+        html += renderIssueBanner([], '', 'No problems found');
+    } else {
+        html += '<div class="data-table-mount"></div>';
+    }
+
+    html += '</div>';
 
     container.innerHTML = html;
+
+    if (problems.length === 0) return;
+
+    mountDataTable(container.querySelector('.data-table-mount'), {
+        id: 'problems',
+        className: 'problems-table',
+        rows: shown,
+        columns: [
+            { key: 'severity', label: 'Severity', value: problem => problem.severity, html: problem => (problem.severity === 'error' ? '⛔ Error' : '⚠️ Warning'), className: 'problem-severity', groupable: true },
+            { key: 'category', label: 'Category', value: problem => problem.category, groupable: true },
+            { key: 'location', label: 'Location', value: problem => problem.location, groupable: true },
+            { key: 'message', label: 'Problem', value: problem => problem.message }
+        ],
+        rowClass: problem => `${problem.severity === 'error' ? 'row-conflict' : 'row-warning'}${problem.tab && onSelect ? ' problem-link' : ''}`,
+        onRowClick: onSelect ? problem => problem.tab && onSelect(problem) : null
+    });
+}
+
+/**
+ * Append the unknown-decode inventory below the Problems tab
+ * @param {Object} inventory - Result of buildDecodeInventory
+ * @param {HTMLElement} container - Container holding the rendered Problems tab
+ * @param {Function} onExport - Optional callback () => void for the JSON snippet button
+ */
+export function displayDecodeInventory(inventory, container, onExport = null) {
+    const { channelSettings, components } = inventory;
+
+    let html = '<div style="margin-top: 20px; padding: 20px; background: white; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">';
+    html += '<h3>🧩 Decoder coverage</h3>';
+    html += `<p style="margin-bottom: 15px; color: #666;">${channelSettings.length} unknown channel setting${channelSettings.length !== 1 ? 's' : ''}, ${components.length} undecoded component type${components.length !== 1 ? 's' : ''}</p>`;
+
+    if (channelSettings.length === 0 && components.length === 0) {
+        html += renderIssueBanner([], '', 'Every channel setting and component type is decoded');
+        html += '</div>';
+        container.insertAdjacentHTML('beforeend', html);
+        return;
+    }
+
+    if (onExport) {
+        html += '<button class="button button-secondary decode-inventory-export" style="margin-bottom: 15px;">🧾 Export JSON snippet</button>';
+    }
+
+    if (channelSettings.length > 0) {
+        html += '<h4>Channel settings</h4>';
+        html += '<div style="overflow-x: auto;"><table><thead><tr>';
+        html += '<th>Direction</th><th>Setting</th><th>Subtype</th><th>Known type</th><th>Channels</th><th>In use</th><th>Examples</th>';
+        html += '</tr></thead><tbody>';
+        channelSettings.forEach(setting => {
+            html += '<tr>';
+            html += `<td>${escapeHtml(setting.direction)}</td>`;
+            html += `<td>${escapeHtml(setting.mainId)}</td>`;
+            html += `<td>${escapeHtml(setting.subId)}</td>`;
+            html += `<td>${escapeHtml(setting.type ?? '')}</td>`;
+            html += `<td>${setting.count}</td>`;
+            html += `<td>${setting.inUse}</td>`;
+            html += `<td>${setting.examples.map(escapeHtml).join('<br>')}</td>`;
+            html += '</tr>';
+        });
+        html += '</tbody></table></div>';
+    }
+
+    if (components.length > 0) {
+        html += '<h4 style="margin-top: 15px;">Component types</h4>';
+        html += '<div style="overflow-x: auto;"><table><thead><tr>';
+        html += '<th>Component ID</th><th>Count</th><th>Revisions</th><th>Properties (example values)</th><th>Examples</th>';
+        html += '</tr></thead><tbody>';
+        components.forEach(component => {
+            const properties = component.properties
+                .map(({ id, values }) => `${id}: ${values.map(value => `"${value}"`).join(', ')}`);
+
+            html += '<tr>';
+            html += `<td>${component.componentId}</td>`;
+            html += `<td>${component.count}</td>`;
+            html += `<td>${escapeHtml(component.revisions.join(', '))}</td>`;
+            html += `<td>${properties.map(escapeHtml).join('<br>')}</td>`;
+            html += `<td>${component.examples.map(escapeHtml).join('<br>')}</td>`;
+            html += '</tr>';
+        });
+        html += '</tbody></table></div>';
+    }
+
+    html += '</div>';
+
+    container.insertAdjacentHTML('beforeend', html);
+
+    if (onExport) {
+        container.querySelector('.decode-inventory-export').addEventListener('click', onExport);
+    }
+}
+
+/**
+ * Scroll to and highlight the row a problem points at
+ * Collapsed channel sections around the row are expanded first.
+ * @param {HTMLElement} container - Container holding the rendered tab
+ * @param {string} rowKey - Key from getRowKey
+ * @returns {boolean} Whether the row was found
+ */
+export function highlightRow(container, rowKey) {
+    const row = Array.from(container.querySelectorAll('[data-row-key]'))
+        .find(el => el.dataset.rowKey === rowKey);
+    if (!row) return false;
+
+    const section = row.closest('.section-content');
+    if (section && section.style.display === 'none') {
+        section.style.display = 'block';
+        const icon = section.previousElementSibling?.querySelector('.expand-icon');
+        if (icon) icon.textContent = '▲';
+    }
+
+    row.classList.add('row-highlight');
+    row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return true;
+}
+
+/**
+ * Labels and markers per change kind
+ */
+const CHANGE_KIND_LABELS = new Map([
+    ['added', '+ Added'],
+    ['removed', '− Removed'],
+    ['changed', '± Changed']
+]);
+
+/**
+ * Display the changes between two project revisions
+ * Added rows are green, removed rows red and changed rows amber. Rows that
+ * still exist in the newer revision are clickable and call onSelect with the change.
+ * @param {Object} diff - Result of diffProjects
+ * @param {HTMLElement} container - Container element
+ * @param {Object} revisions - { older, newer, bySaveTime } from orderBySavedAt
+ * @param {Function} onSelect - Optional callback (change) => void
+ * @param {Function} matches - Optional search filter (change) => boolean
+ */
+export function displayDiff(diff, container, { older, newer, bySaveTime }, onSelect = null, matches = null) {
+    container.style.display = 'block';
+
+    const { changes, counts } = diff;
+    const shown = matches ? changes.filter(matches) : changes;
+    const describeRevision = ({ name, project }) =>
+        `<strong>${escapeHtml(name)}</strong> (saved ${project.metadata ? formatDate(project.metadata.savedAtUtc) : 'unknown'})`;
+
+    let html = '<div style="padding: 20px; background: white; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">';
+    html += '<h3>🔀 Changes</h3>';
+    html += `<p style="margin-bottom: 5px; color: #666;">From ${describeRevision(older)} to ${describeRevision(newer)}</p>`;
+    if (!bySaveTime) {
+        html += '<p style="margin-bottom: 5px; color: #8a5300;">Save times unknown - files are compared in the order they were dropped</p>';
+    }
+    html += `<p style="margin-bottom: 15px; color: #666;">${counts.added} added, ${counts.removed} removed, ${counts.changed} changed${renderShownCount(shown, matches)}</p>`;
+
+    if (changes.length === 0) {
+        html += renderIssueBanner([], '', 'No changes found');
+    } else {
+        html += '<div class="data-table-mount"></div>';
+    }
+
+    html += '</div>';
+
+    container.innerHTML = html;
+
+    if (changes.length === 0) return;
+
+    const renderDetails = change => change.fields.map(({ field, before, after }) =>
+        `<div>${escapeHtml(field)}: <del>${escapeHtml(before) || '<em>empty</em>'}</del> → <ins>${escapeHtml(after) || '<em>empty</em>'}</ins></div>`
+    ).join('');
+
+    mountDataTable(container.querySelector('.data-table-mount'), {
+        id: 'changes',
+        className: 'diff-table',
+        rows: shown,
+        columns: [
+            { key: 'section', label: 'Section', value: change => change.sectionTitle, groupable: true },
+            { key: 'kind', label: 'Change', value: change => change.kind, html: change => CHANGE_KIND_LABELS.get(change.kind), className: 'diff-kind', groupable: true },
+            { key: 'item', label: 'Item', value: change => change.label },
+            { key: 'field', label: 'Details', value: change => change.fields.map(({ field }) => field).join(', '), html: renderDetails }
+        ],
+        rowClass: change => `diff-${change.kind}${change.rowKey && onSelect ? ' problem-link' : ''}`,
+        onRowClick: onSelect ? change => change.rowKey && onSelect(change) : null
+    });
+}
+
+/**
+ * Note how many rows a search left, '' without a search
+ * @param {Array} shown - Rows that match the search
+ * @param {Function} matches - Search filter, null without a search
+ * @returns {string} HTML string
+ */
+function renderShownCount(shown, matches) {
+    return matches ? ` | ${shown.length} matching the search` : '';
+}
+
+/**
+ * Elements whose text is never highlighted
+ */
+const NO_HIGHLIGHT_TAGS = new Set(['SCRIPT', 'STYLE', 'BUTTON', 'SELECT', 'OPTION', 'TEXTAREA', 'LABEL', 'MARK', 'TH', 'H3', 'H4']);
+
+/**
+ * Highlight search terms in rendered rows
+ * Wraps every case-insensitive occurrence in the text of the container in a
+ * <mark>, outside headings and controls.
+ * @param {HTMLElement} container - Rendered tab
+ * @param {Array<string>} terms - Terms from getHighlightTerms (query.js)
+ */
+export function highlightMatches(container, terms) {
+    if (terms.length === 0) return;
+
+    const pattern = new RegExp(terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi');
+
+    const visit = node => {
+        if (node.nodeType === 3) {
+            const text = node.textContent;
+            pattern.lastIndex = 0;
+            if (!pattern.test(text)) return;
+
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            text.replace(pattern, (match, offset) => {
+                fragment.appendChild(document.createTextNode(text.slice(last, offset)));
+                const mark = document.createElement('mark');
+                mark.className = 'search-match';
+                mark.textContent = match;
+                fragment.appendChild(mark);
+                last = offset + match.length;
+                return match;
+            });
+            fragment.appendChild(document.createTextNode(text.slice(last)));
+            node.parentNode.replaceChild(fragment, node);
+        } else if (node.nodeType === 1 && !NO_HIGHLIGHT_TAGS.has(node.tagName) && !node.classList.contains('metadata-card')) {
+            Array.from(node.childNodes).forEach(visit);
+        }
+    };
+
+    visit(container);
+}
+
+/**
+ * Render a summary banner for check results
+ * @param {Array<string>} messages - One message per issue (empty when clean)
+ * @param {string} title - Title shown when there are issues
+ * @param {string} okTitle - Title shown when there are none
+ * @param {string} severity - 'error' or 'warning'
+ * @returns {string} HTML string
+ */
+function renderIssueBanner(messages, title, okTitle, severity = 'error') {
+    if (messages.length === 0) {
+        return `<div class="issue-banner ok">✅ ${escapeHtml(okTitle)}</div>`;
+    }
+
+    let html = `<div class="issue-banner ${severity}">`;
+    html += `<strong>⚠️ ${escapeHtml(title)}</strong><ul>`;
+    messages.forEach(message => {
+        html += `<li>${escapeHtml(message)}</li>`;
+    });
+    html += '</ul></div>';
+
+    return html;
+}
+
+/**
+ * Render one banner per issue group
+ * @param {Array<Object>} groups - [{ severity, title, messages }]
+ * @param {string} okTitle - Title shown when there are no groups
+ * @returns {string} HTML string
+ */
+function renderIssueGroups(groups, okTitle) {
+    if (groups.length === 0) {
+        return renderIssueBanner([], '', okTitle);
+    }
+
+    return groups
+        .map(group => renderIssueBanner(group.messages, `${group.title} (${group.messages.length})`, okTitle, group.severity))
+        .join('');
 }
 
 /**
@@ -454,8 +983,12 @@ export function displayMemory(memory, container, metadata = null) {
  * @param {HTMLElement} container - Container element
  * @param {Object} metadata - Optional project metadata
  * @param {Array} modulesList - Array of module definitions from modules.js
+ * @param {Object} pricing - Optional { priceList, onLoad, onClear }: the price list from
+ *   price-list.js, a callback (file) => Promise for the load control and one for removing it
+ * @param {Function} matches - Optional search filter for BOM and costed BOM lines
+ *   ({ productNumber, variantNumber, description, unitTypeId, for, quantity }) => boolean
  */
-export function displayModules(units, container, metadata = null, modulesList = []) {
+export function displayModules(units, container, metadata = null, modulesList = [], { priceList = null, onLoad = null, onClear = null } = {}, matches = null) {
     container.style.display = 'block';
 
     let html = '';
@@ -464,45 +997,124 @@ export function displayModules(units, container, metadata = null, modulesList =
         html += renderMetadata(metadata);
     }
 
-    // Create a lookup map from the modules list - MATCH ON VARIANT NUMBER
-    const moduleLookup = new Map();
-    modulesList.forEach(module => {
-        moduleLookup.set(module.standardUnitVariantNumber, module);
-    });
-
     // Enrich units with product numbers from modules.js based on variant number
-    const enrichedUnits = units.map(unit => {
-        const variantNumber = unit.standardUnitVariantNumber;
-        const moduleInfo = moduleLookup.get(variantNumber);
-
-        return {
-            ...unit,
-            productNumber: moduleInfo ? moduleInfo.productNumber : 'Unknown',
-            moduleDescription: moduleInfo ? moduleInfo.description : ''
-        };
-    });
+    const enrichedUnits = enrichUnitsWithModules(units, modulesList);
 
     // Generate Bill of Materials from enriched units
-    const bom = generateBOMFromUnits(enrichedUnits);
+    const bom = generateBOMFromUnits(enrichedUnits).map(item => ({
+        ...item,
+        specs: describeModuleSpecs(findModuleByProductNumber(item.productNumber, modulesList), item)
+    }));
+    const shown = matches ? bom.filter(item => matches({ ...item, description: item.specs.productName })) : bom;
 
     // Bill of Materials Section - showing what's actually used in the loaded file
     html += '<div style="padding: 20px; background: white; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">';
     html += '<h3>📋 Bill of Materials</h3>';
-    html += `<p style="margin-bottom: 15px; color: #666;">Total items: ${bom.reduce((sum, item) => sum + item.quantity, 0)} | Unique products: ${bom.length}</p>`;
+    html += `<p style="margin-bottom: 15px; color: #666;">Total items: ${bom.reduce((sum, item) => sum + item.quantity, 0)} | Unique products: ${bom.length}${renderShownCount(shown, matches)}</p>`;
+    html += '<div class="data-table-mount"></div></div>';
+
+    if (onLoad || priceList) {
+        html += renderCostedBom(enrichedUnits, priceList, Boolean(onLoad), matches);
+    }
+
+    container.innerHTML = html;
+
+    // Catalog specs that aren't known yet show as a dash
+    const spec = key => ({ specs }) => (specs[key] ? escapeHtml(specs[key]) : '<span style="color: #999;">—</span>');
+
+    mountDataTable(container.querySelector('.data-table-mount'), {
+        id: 'modules',
+        rows: shown,
+        columns: [
+            { key: 'quantity', label: 'Quantity', value: item => item.quantity, html: item => `<strong>${item.quantity}</strong>` },
+            { key: 'productNumber', label: 'Product Number', value: item => item.productNumber },
+            { key: 'variantNumber', label: 'Variant Number', value: item => item.variantNumber, hidden: true },
+            { key: 'productName', label: 'Product Name', value: item => item.specs.productName, html: spec('productName') },
+            { key: 'unitType', label: 'Unit Type', value: item => getUnitType(item.unitTypeId).name, groupable: true },
+            { key: 'channels', label: 'Channels', value: item => item.specs.channels, html: spec('channels') },
+            { key: 'maxOutputCurrent', label: 'Max Output Current', value: item => item.specs.maxOutputCurrent, html: spec('maxOutputCurrent') },
+            { key: 'connectors', label: 'Connectors', value: item => item.specs.connectors, html: spec('connectors') },
+            { key: 'firmware', label: 'Firmware', value: item => item.specs.firmware, html: spec('firmware') }
+        ]
+    });
+
+    const priceListInput = container.querySelector('.price-list-input');
+    const priceListError = container.querySelector('.price-list-error');
+    if (priceListInput && onLoad) {
+        priceListInput.addEventListener('change', async () => {
+            const [file] = priceListInput.files;
+            if (!file) return;
+            try {
+                await onLoad(file);
+            } catch (error) {
+                priceListError.textContent = error.message;
+                priceListError.classList.remove('hidden');
+            }
+        });
+    }
+    const clearButton = container.querySelector('.price-list-clear');
+    if (clearButton && onClear) {
+        clearButton.addEventListener('click', () => onClear());
+    }
+}
+
+/**
+ * Render the costed BOM card: the price list controls and, with a price
+ * list loaded, modules and accessories with line totals
+ */
+function renderCostedBom(units, priceList, canLoad, matches) {
+    let html = '<div style="margin-top: 20px; padding: 20px; background: white; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">';
+    html += '<h3>💶 Costed BOM</h3>';
+
+    if (canLoad) {
+        html += '<div style="display: flex; gap: 10px; align-items: center; flex-wrap: wrap; margin-bottom: 15px;">';
+        html += `<label class="button button-secondary" style="cursor: pointer;">📂 ${priceList ? 'Replace' : 'Load'} price list`;
+        html += '<input type="file" class="price-list-input" accept=".csv,.json,text/csv,application/json" style="display: none;"></label>';
+        if (priceList) {
+            html += '<button class="button button-secondary price-list-clear">Remove price list</button>';
+        }
+        html += '</div>';
+        html += '<div class="error hidden price-list-error"></div>';
+    }
+
+    if (!priceList) {
+        html += '<p style="color: #666;">Load a CSV or JSON price list to price the modules and add their accessories (connectors, terminators, drop cables, fuses). The list stays in this browser.</p>';
+        html += '</div>';
+        return html;
+    }
+
+    const { name, currency, lines, total, unpriced } = buildCostedBom(units, priceList);
+    const amount = value => (value === null ? '<span style="color: #999;">—</span>' : escapeHtml(value.toFixed(2)));
+    const inCurrency = label => escapeHtml(currency ? `${label} (${currency})` : label);
+
+    const shown = matches ? lines.filter(matches) : lines;
+
+    html += `<p style="margin-bottom: 15px; color: #666;">${escapeHtml(name)} | ${lines.length} line${lines.length !== 1 ? 's' : ''}${renderShownCount(shown, matches)}`;
+    if (unpriced > 0) {
+        html += ` | <span style="color: #b45309;">${unpriced} without a price</span>`;
+    }
+    html += '</p>';
+
     html += '<div style="overflow-x: auto;"><table><thead><tr>';
-    html += '<th>Quantity</th><th>Product Number</th>';
+    html += `<th>Type</th><th>Quantity</th><th>Product Number</th><th>Description</th><th>For</th><th>${inCurrency('Unit Price')}</th><th>${inCurrency('Line Total')}</th>`;
     html += '</tr></thead><tbody>';
 
-    bom.forEach(item => {
+    shown.forEach(line => {
         html += '<tr>';
-        html += `<td style="text-align: center; font-weight: bold;">${item.quantity}</td>`;
-        html += `<td>${escapeHtml(item.productNumber)}</td>`;
+        html += `<td>${line.kind === 'module' ? 'Module' : 'Accessory'}</td>`;
+        html += `<td style="text-align: center; font-weight: bold;">${line.quantity}</td>`;
+        html += `<td>${escapeHtml(line.productNumber)}</td>`;
+        html += `<td>${escapeHtml(line.description)}</td>`;
+        html += `<td>${escapeHtml(line.for)}</td>`;
+        html += `<td style="text-align: right;">${amount(line.unitPrice)}</td>`;
+        html += `<td style="text-align: right;">${amount(line.lineTotal)}</td>`;
         html += '</tr>';
     });
 
+    html += `<tr><td colspan="6" style="font-weight: bold;">Total</td><td style="text-align: right; font-weight: bold;">${amount(total)}</td></tr>`;
     html += '</tbody></table></div></div>';
 
-    container.innerHTML = html;
+    return html;
 }
 
 /**
@@ -528,33 +1140,3 @@ function getUniqueModulesFromUnits(units) {
         a.productNumber.localeCompare(b.productNumber)
     );
 }
-
-/**
- * Generate Bill of Materials from units array
- * @param {Array} units - Array of unit objects (can be enriched with productNumber)
- * @returns {Array} BOM entries with product number, variant number, unit type, and quantity
- */
-function generateBOMFromUnits(units) {
-    const bomMap = new Map();
-
-    units.forEach(unit => {
-        // Use variant number as the key for proper aggregation
-        const key = unit.standardUnitVariantNumber || unit.name;
-
-        if (bomMap.has(key)) {
-            bomMap.get(key).quantity++;
-        } else {
-            bomMap.set(key, {
-                productNumber: unit.productNumber || 'Unknown',
-                variantNumber: unit.standardUnitVariantNumber || 'N/A',
-                unitName: unit.name,
-                unitTypeId: unit.unitTypeId || 'N/A',
-                quantity: 1
-            });
-        }
-    });
-
-    return Array.from(bomMap.values()).sort((a, b) =>
-        (a.productNumber || 'Unknown').localeCompare(b.productNumber || 'Unknown')
-    );
-}
\ No newline at end of file
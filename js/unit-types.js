@@ -0,0 +1,76 @@
+/**
+ * Unit Types Module
+ * One registry of what ebp2docs knows per EmpirBus unitTypeId: display name,
+ * master role, visible channel groups, printability and channel capabilities.
+ * Unknown unitTypeIds get a permissive profile and are reported as problems.
+ */
+
+/**
+ * Unit type profile
+ * @typedef {Object} UnitType
+ * @property {string} name - Display name
+ * @property {string|null} master - 'always' when the unit is the master module,
+ *   'configurable' when property 2 = 2 makes it the master, null otherwise
+ * @property {number|null} visibleGroups - Channel groups shown, counted from the
+ *   first (null shows all of them)
+ * @property {boolean} printable - Whether the unit gets a page in the PDF export
+ * @property {boolean} physicalChannels - Whether the channels are physical IO
+ */
+
+/**
+ * Known unit types, keyed by the unitTypeId attribute
+ * @type {Map<string, UnitType>}
+ */
+export const UNIT_TYPES = new Map([
+    ['1', { name: 'I/O module', master: 'configurable', visibleGroups: null, printable: true, physicalChannels: true }],
+    ['4', { name: 'I/O module', master: 'configurable', visibleGroups: null, printable: true, physicalChannels: true }],
+    // Connect 50 only exposes its first physical connector group
+    ['16', { name: 'Connect 50', master: 'configurable', visibleGroups: 1, printable: true, physicalChannels: true }],
+    ['20', { name: 'Connect 50', master: 'configurable', visibleGroups: 1, printable: true, physicalChannels: true }],
+    ['100', { name: 'MCU', master: 'always', visibleGroups: null, printable: true, physicalChannels: true }],
+    // MCUv1 has no user-facing channels
+    ['101', { name: 'MCU v1', master: 'always', visibleGroups: 0, printable: false, physicalChannels: false }],
+    ['105', { name: 'MCU v2', master: null, visibleGroups: 2, printable: false, physicalChannels: true }],
+    ['200', { name: 'WDU / MFD', master: null, visibleGroups: null, printable: false, physicalChannels: false }]
+]);
+
+/**
+ * Profile of unit types missing from UNIT_TYPES: everything is shown and printed
+ */
+const UNKNOWN_UNIT_TYPE = {
+    master: null,
+    visibleGroups: null,
+    printable: true,
+    physicalChannels: true
+};
+
+/**
+ * Check whether a unit type is in the registry
+ * @param {string} unitTypeId - The unit's unitTypeId attribute
+ * @returns {boolean} True for known unit types
+ */
+export function isKnownUnitType(unitTypeId) {
+    return UNIT_TYPES.has(String(unitTypeId));
+}
+
+/**
+ * Get the profile of a unit type
+ * @param {string} unitTypeId - The unit's unitTypeId attribute
+ * @returns {UnitType} Profile; unknown types get the permissive default with
+ *   the name "Unknown type <id>"
+ */
+export function getUnitType(unitTypeId) {
+    return UNIT_TYPES.get(String(unitTypeId))
+        ?? { ...UNKNOWN_UNIT_TYPE, name: `Unknown type ${unitTypeId}` };
+}
+
+/**
+ * Label a unit type for display, e.g. "Connect 50 (16)"
+ * @param {string} unitTypeId - The unit's unitTypeId attribute
+ * @returns {string} Label
+ */
+export function formatUnitType(unitTypeId) {
+    return isKnownUnitType(unitTypeId)
+        ? `${getUnitType(unitTypeId).name} (${unitTypeId})`
+        : getUnitType(unitTypeId).name;
+}
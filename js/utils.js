@@ -3,15 +3,25 @@
  * Helper functions used throughout the application
  */
 
+import { parseQuery, matchesQuery } from './query.js';
+
+// Characters that must be escaped in HTML text and attribute values
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
 /**
  * Escape HTML to prevent XSS
+ * String based so it also works outside the browser (CLI reports).
  * @param {string} text - Text to escape
  * @returns {string} Escaped text
  */
 export function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
 }
 
 /**
@@ -47,7 +57,7 @@ export function getDirectionColor(direction) {
  * Uses browser's print to PDF functionality
  * @param {Array} units - Units to include in the printable channel table
  * @param {Object} metadata - Project metadata
- * @param {Object} exportDetails - Optional { boatName, boatType, locationsByUnitId, accentColor }
+ * @param {Object} exportDetails - Optional { boatName, boatType, locationsByUnitId, accentColor, problems }
  */
 export async function downloadPDF(units, metadata, exportDetails = {}) {
     // Store original title
@@ -100,6 +110,48 @@ export async function downloadPDF(units, metadata, exportDetails = {}) {
     }, 100);
 }
 
+/**
+ * Print label sheets through the browser's print dialog (or save them as PDF)
+ * @param {string} html - Pages from renderLabelPrintPages (labels.js)
+ * @param {string} title - Document title, the default "Save as PDF" filename
+ */
+export function printLabels(html, title) {
+    const originalTitle = document.title;
+    document.title = title;
+
+    // The label pages bring their own page size and no body spacing
+    document.body.classList.add('print-labels');
+
+    const printContainer = document.getElementById('printTable');
+    if (printContainer) {
+        printContainer.innerHTML = html;
+    }
+
+    window.print();
+
+    setTimeout(() => {
+        document.body.classList.remove('print-labels');
+        document.title = originalTitle;
+    }, 100);
+}
+
+/**
+ * Download content as a file
+ * @param {string|Uint8Array} content - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ */
+export function downloadFile(content, fileName, mimeType = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Format file size in human-readable format
  * @param {number} bytes - File size in bytes
@@ -180,7 +232,7 @@ export function filterUnits(units, searchTerm) {
     return units.filter(unit => {
         // Search in basic unit properties
         if (unit.name.toLowerCase().includes(term) ||
-            unit.id.toLowerCase().includes(term) ||
+            String(unit.id).includes(term) ||
             unit.serial.toLowerCase().includes(term)) {
             return true;
         }
@@ -199,43 +251,45 @@ export function filterUnits(units, searchTerm) {
 }
 
 /**
- * Filter units and channels by search term
- * Returns units with only matching channels when searching
+ * Channel record for units without channels, so their own fields can match
+ */
+const NO_CHANNEL = { number: null, name: '', direction: { id: null, name: '' } };
+
+/**
+ * Filter units and channels with a search query (see query.js)
+ * Each channel is matched together with its unit's fields; a unit is kept
+ * with only its matching channels.
  * @param {Array} units - Array of units
- * @param {string} searchTerm - Search term
+ * @param {Object|string|null} query - Compiled query from parseQuery, or query text
  * @returns {Object} Object with filtered units array and hasSearch flag
+ * @throws {Error} If the query text has a syntax error
  */
-export function filterUnitsAndChannels(units, searchTerm) {
-    if (!searchTerm || searchTerm.trim() === '') {
+export function filterUnitsAndChannels(units, query) {
+    const compiled = typeof query === 'string' ? parseQuery(query) : query;
+    if (!compiled) {
         return { units, hasSearch: false };
     }
 
-    const term = searchTerm.toLowerCase();
     const filteredUnits = [];
 
     units.forEach(unit => {
-        // Check if unit properties match
-        const unitMatches =
-            unit.name.toLowerCase().includes(term) ||
-            unit.id.toLowerCase().includes(term) ||
-            unit.serial.toLowerCase().includes(term);
-
-        // Filter channels within groups
-        const filteredChannelGroups = unit.channels.map(group => ({
+        // Groups are numbered before empty ones are dropped
+        const filteredChannelGroups = unit.channels.map((group, groupIndex) => ({
             ...group,
             channels: group.channels.filter(channel =>
-                channel.name.toLowerCase().includes(term) ||
-                channel.number.toString().includes(term) ||
-                channel.direction.toLowerCase().includes(term)
-            )
+                matchesQuery(compiled, 'channel', { unit, group: groupIndex + 1, channel }))
         })).filter(group => group.channels.length > 0);
 
-        // Include unit if it matches or has matching channels
-        if (unitMatches || filteredChannelGroups.length > 0) {
+        const channelCount = unit.channels.reduce((sum, group) => sum + group.channels.length, 0);
+        const matchCount = filteredChannelGroups.reduce((sum, group) => sum + group.channels.length, 0);
+        const unitMatches = channelCount === 0
+            && matchesQuery(compiled, 'channel', { unit, group: null, channel: NO_CHANNEL });
+
+        if (unitMatches || matchCount > 0) {
             filteredUnits.push({
                 ...unit,
                 channels: unitMatches ? unit.channels : filteredChannelGroups,
-                _allChannelsMatch: unitMatches
+                _allChannelsMatch: unitMatches || matchCount === channelCount
             });
         }
     });
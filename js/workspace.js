@@ -0,0 +1,101 @@
+/**
+ * Workspace Module
+ * Keeps several parsed projects open side by side - sister ships, revisions -
+ * and searches across all of them. DOM-free; index.html owns the active project.
+ */
+
+import { analyzeChannels } from './channel-analyzer.js';
+import { collectProblems } from './problems.js';
+import { filterUnitsAndChannels } from './utils.js';
+import { MODULES, enrichUnitsWithModules } from '../modules.js';
+
+// Source of workspace entry IDs
+let nextEntryId = 1;
+
+/**
+ * Create a workspace entry for a loaded project
+ * Everything the tabs derive from the project is computed once here.
+ * @param {string} name - File name the project was loaded from
+ * @param {Object} project - Project model from parseProject or importProjectJson
+ * @param {Array} modulesList - Module definitions (defaults to MODULES)
+ * @returns {Object} { id, name, project, units, channelAnalysis, problems, unitLocations }
+ */
+export function createWorkspaceEntry(name, project, modulesList = MODULES) {
+    return {
+        id: nextEntryId++,
+        name,
+        project,
+        // Units enriched with product numbers from modules.js
+        units: enrichUnitsWithModules(project.units, modulesList),
+        channelAnalysis: analyzeChannels(project),
+        problems: collectProblems(project, modulesList),
+        // Unit locations entered in the export dialog, kept per project
+        unitLocations: {}
+    };
+}
+
+/**
+ * Add entries to a workspace
+ * Entries are keyed by ID: files with the same name - the same project from
+ * two folders, or two revisions - stay open side by side (see getEntryLabels),
+ * and only an entry that is already open is replaced in place.
+ * @param {Array<Object>} entries - Current workspace entries
+ * @param {Array<Object>} added - Entries to add
+ * @returns {Array<Object>} New workspace entries
+ */
+export function addToWorkspace(entries, added) {
+    const result = [...entries];
+
+    added.forEach(entry => {
+        const index = result.findIndex(existing => existing.id === entry.id);
+        if (index === -1) {
+            result.push(entry);
+        } else {
+            result[index] = entry;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Remove an entry from a workspace
+ * @param {Array<Object>} entries - Current workspace entries
+ * @param {number} id - ID of the entry to remove
+ * @returns {Array<Object>} New workspace entries
+ */
+export function removeFromWorkspace(entries, id) {
+    return entries.filter(entry => entry.id !== id);
+}
+
+/**
+ * Label the entries of a workspace for display
+ * Files with the same name are numbered in workspace order, e.g. "boat.ebp",
+ * "boat.ebp (2)".
+ * @param {Array<Object>} entries - Workspace entries
+ * @returns {Map<number, string>} Label by entry ID
+ */
+export function getEntryLabels(entries) {
+    const seen = new Map();
+
+    return new Map(entries.map(entry => {
+        const count = (seen.get(entry.name) ?? 0) + 1;
+        seen.set(entry.name, count);
+        return [entry.id, count > 1 ? `${entry.name} (${count})` : entry.name];
+    }));
+}
+
+/**
+ * Search units and channels in every open project
+ * @param {Array<Object>} entries - Workspace entries
+ * @param {Object|string} query - Compiled query from parseQuery (query.js), or query text
+ * @returns {Array<Object>} [{ entry, label, units }] for the projects with matches, in
+ *   workspace order; label is from getEntryLabels
+ */
+export function searchWorkspace(entries, query) {
+    const labels = getEntryLabels(entries);
+
+    return entries
+        .map(entry => ({ entry, label: labels.get(entry.id), units: filterUnitsAndChannels(entry.units, query).units }))
+        .filter(result => result.units.length > 0);
+}
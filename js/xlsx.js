@@ -0,0 +1,174 @@
+/**
+ * XLSX Module
+ * Writes report sections as an Office Open XML (.xlsx) workbook, one sheet
+ * per section, without external libraries
+ */
+
+import { createZip } from './zip.js';
+
+/**
+ * MIME type of .xlsx files
+ */
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+// Excel limits: sheet names are at most 31 characters and can't contain []:*?/\
+const MAX_SHEET_NAME_LENGTH = 31;
+const MAX_COLUMN_WIDTH = 60;
+
+/**
+ * Escape text for XML content and attributes, dropping characters XML can't hold
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Spreadsheet column letters for a zero-based index (0 -> A, 26 -> AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * Make sheet names valid and unique
+ * @param {Array<string>} titles - Requested names
+ * @returns {Array<string>} Sheet names
+ */
+function toSheetNames(titles) {
+    const used = new Set();
+
+    return titles.map(title => {
+        const base = (title.replace(/[[\]:*?/\\]/g, ' ').trim() || 'Sheet').slice(0, MAX_SHEET_NAME_LENGTH);
+        let name = base;
+        for (let n = 2; used.has(name.toLowerCase()); n++) {
+            const suffix = ` (${n})`;
+            name = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    });
+}
+
+/**
+ * Render one cell; numbers stay numeric, everything else is an inline string
+ * @param {*} value - Cell value
+ * @param {string} ref - Cell reference (e.g. B3)
+ * @param {number} style - Style index from styles.xml
+ * @returns {string} <c> element ('' for empty cells)
+ */
+function renderCell(value, ref, style = 0) {
+    if (value === null || value === undefined || value === '') return '';
+
+    const styleAttr = style ? ` s="${style}"` : '';
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Render a worksheet: bold, frozen header row with an autofilter
+ * @param {Object} section - { columns, rows } as built by report.js
+ * @returns {string} Worksheet XML
+ */
+function renderWorksheet({ columns, rows }) {
+    const lastColumn = columnName(Math.max(columns.length - 1, 0));
+
+    const widths = columns.map(column => Math.min(MAX_COLUMN_WIDTH, rows.reduce(
+        (width, row) => Math.max(width, String(row[column.key] ?? '').length),
+        String(column.label).length
+    ) + 2));
+
+    let xml = `${XML_HEADER}<worksheet xmlns="${SPREADSHEET_NS}">`;
+    xml += '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>';
+    xml += `<cols>${widths.map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`;
+    xml += '<sheetData>';
+    xml += `<row r="1">${columns.map((column, i) => renderCell(column.label, `${columnName(i)}1`, 1)).join('')}</row>`;
+    rows.forEach((row, rowIndex) => {
+        const r = rowIndex + 2;
+        xml += `<row r="${r}">${columns.map((column, i) => renderCell(row[column.key], `${columnName(i)}${r}`)).join('')}</row>`;
+    });
+    xml += '</sheetData>';
+    if (columns.length > 0) {
+        xml += `<autoFilter ref="A1:${lastColumn}${rows.length + 1}"/>`;
+    }
+    xml += '</worksheet>';
+
+    return xml;
+}
+
+/**
+ * Build an .xlsx workbook with one sheet per report section
+ * @param {Array<Object>} sections - [{ title, columns, rows }] as built by report.js
+ * @returns {Uint8Array} Workbook file bytes
+ */
+export function toXlsx(sections) {
+    const names = toSheetNames(sections.map(section => section.title));
+
+    const contentTypes = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sections.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>';
+
+    const rootRels = `${XML_HEADER}<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">`
+        + `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/>`
+        + '</Relationships>';
+
+    // Excel expects a hidden filter database name for every sheet with an autofilter
+    const filterNames = sections
+        .map((section, i) => section.columns.length === 0 ? '' : `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">`
+            + `${escapeXml(`'${names[i].replace(/'/g, "''")}'`)}!$A$1:$${columnName(section.columns.length - 1)}$${section.rows.length + 1}</definedName>`)
+        .join('');
+
+    const workbook = `${XML_HEADER}<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}"><sheets>`
+        + names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+        + '</sheets>'
+        + (filterNames ? `<definedNames>${filterNames}</definedNames>` : '')
+        + '</workbook>';
+
+    const workbookRels = `${XML_HEADER}<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">`
+        + sections.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+        + `<Relationship Id="rId${sections.length + 1}" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/>`
+        + '</Relationships>';
+
+    // Style 0 is the default, style 1 the bold header
+    const styles = `${XML_HEADER}<styleSheet xmlns="${SPREADSHEET_NS}">`
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+        + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+        + '</styleSheet>';
+
+    return createZip([
+        { name: '[Content_Types].xml', data: contentTypes },
+        { name: '_rels/.rels', data: rootRels },
+        { name: 'xl/workbook.xml', data: workbook },
+        { name: 'xl/_rels/workbook.xml.rels', data: workbookRels },
+        { name: 'xl/styles.xml', data: styles },
+        ...sections.map((section, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: renderWorksheet(section) }))
+    ]);
+}
@@ -0,0 +1,82 @@
+/**
+ * XML Adapter Module
+ * Single point of XML access for the parsers. A backend turns an XML string
+ * into a document exposing the DOM subset the parsers use (getAttribute,
+ * children, tagName, getElementsByTagName, querySelector, querySelectorAll).
+ *
+ * Two backends are built in:
+ * - domBackend: the browser's native DOMParser
+ * - pureJsBackend: xml-parser.js, dependency free (Node.js, Web Workers)
+ */
+
+import { parseXml } from './xml-parser.js';
+
+/**
+ * XML backend definition
+ * @typedef {Object} XmlBackend
+ * @property {string} name - Backend name for diagnostics
+ * @property {Function} parse - (xmlString) => document; throws 'Invalid XML format' on malformed input
+ */
+
+/**
+ * Native DOMParser backend
+ * @type {XmlBackend}
+ */
+export const domBackend = {
+    name: 'dom',
+    parse(xmlString) {
+        const parser = new DOMParser();
+        const xmlDoc = parser.parseFromString(xmlString, 'text/xml');
+
+        // Check for parsing errors
+        const parseError = xmlDoc.querySelector('parsererror');
+        if (parseError) {
+            throw new Error('Invalid XML format');
+        }
+
+        return xmlDoc;
+    }
+};
+
+/**
+ * Pure-JS backend
+ * @type {XmlBackend}
+ */
+export const pureJsBackend = {
+    name: 'pure-js',
+    parse: parseXml
+};
+
+// Explicitly selected backend; null means pick automatically
+let selectedBackend = null;
+
+/**
+ * Select the XML backend used by all parsers
+ * @param {XmlBackend|null} backend - Backend to use, or null to auto-detect
+ */
+export function setXmlBackend(backend) {
+    if (backend !== null && typeof backend?.parse !== 'function') {
+        throw new TypeError('XML backend must provide a parse(xmlString) function');
+    }
+    selectedBackend = backend;
+}
+
+/**
+ * Get the active XML backend
+ * Defaults to DOMParser where it exists and the pure-JS parser elsewhere.
+ * @returns {XmlBackend} Active backend
+ */
+export function getXmlBackend() {
+    if (selectedBackend) return selectedBackend;
+    return typeof DOMParser !== 'undefined' ? domBackend : pureJsBackend;
+}
+
+/**
+ * Parse an XML string with the active backend
+ * @param {string} xmlString - XML content as string
+ * @returns {Document|XmlDocument} Parsed XML document
+ * @throws {Error} If the XML is malformed
+ */
+export function parseXmlDocument(xmlString) {
+    return getXmlBackend().parse(xmlString);
+}
@@ -0,0 +1,253 @@
+/**
+ * XML Parser Module
+ * Minimal pure-JS XML parser for environments without DOMParser (Web Workers).
+ * Produces a lightweight element tree exposing the subset of the DOM API the
+ * EBP parser relies on: tagName, children, parentElement, getAttribute,
+ * getElementsByTagName, querySelector and querySelectorAll.
+ */
+
+// Start tag: name, attribute block, optional self-closing slash
+const START_TAG = /<([A-Za-z_][\w:.-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+
+// Single attribute inside a start tag
+const ATTRIBUTE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+// Predefined and numeric character references
+const ENTITY = /&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-fA-F]+);/g;
+const NAMED_ENTITIES = new Map([
+    ['lt', '<'],
+    ['gt', '>'],
+    ['amp', '&'],
+    ['quot', '"'],
+    ['apos', "'"]
+]);
+
+/**
+ * Element node with a DOM-compatible subset of methods
+ */
+export class XmlElement {
+    constructor(tagName, attributes = new Map(), parentElement = null) {
+        this.tagName = tagName;
+        this.attributes = attributes;
+        this.parentElement = parentElement;
+        this.children = [];
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+
+    getElementsByTagName(tagName) {
+        return descendants(this).filter(el => tagName === '*' || el.tagName === tagName);
+    }
+
+    querySelector(selector) {
+        const steps = parseSelector(selector);
+        return descendants(this).find(el => matches(el, steps)) ?? null;
+    }
+
+    querySelectorAll(selector) {
+        const steps = parseSelector(selector);
+        return descendants(this).filter(el => matches(el, steps));
+    }
+}
+
+/**
+ * Document node - the root container of a parsed tree
+ */
+export class XmlDocument extends XmlElement {
+    constructor() {
+        super('#document');
+    }
+
+    get documentElement() {
+        return this.children[0] ?? null;
+    }
+}
+
+/**
+ * Parse an XML string into an XmlDocument
+ * @param {string} xmlString - XML content as string
+ * @returns {XmlDocument} Parsed document
+ * @throws {Error} If the XML is malformed
+ */
+export function parseXml(xmlString) {
+    const doc = new XmlDocument();
+    const stack = [doc];
+    let pos = 0;
+
+    while (pos < xmlString.length) {
+        const lt = xmlString.indexOf('<', pos);
+        if (lt === -1) break;
+
+        if (xmlString.startsWith('<!--', lt)) {
+            pos = skipPast(xmlString, '-->', lt);
+        } else if (xmlString.startsWith('<?', lt)) {
+            pos = skipPast(xmlString, '?>', lt);
+        } else if (xmlString.startsWith('<![CDATA[', lt)) {
+            pos = skipPast(xmlString, ']]>', lt);
+        } else if (xmlString.startsWith('<!', lt)) {
+            pos = skipPast(xmlString, '>', lt);
+        } else if (xmlString[lt + 1] === '/') {
+            const gt = xmlString.indexOf('>', lt);
+            if (gt === -1) throw new Error('Invalid XML format');
+
+            const tagName = xmlString.slice(lt + 2, gt).trim();
+            const open = stack.pop();
+            if (stack.length === 0 || open.tagName !== tagName) {
+                throw new Error('Invalid XML format');
+            }
+            pos = gt + 1;
+        } else {
+            START_TAG.lastIndex = lt;
+            const match = START_TAG.exec(xmlString);
+            if (!match) throw new Error('Invalid XML format');
+
+            const [, tagName, attributeBlock, selfClosing] = match;
+            const parent = stack[stack.length - 1];
+            if (parent === doc && doc.children.length > 0) {
+                throw new Error('Invalid XML format');
+            }
+
+            // Like the DOM, the root element has no parentElement
+            const element = new XmlElement(tagName, parseAttributes(attributeBlock), parent === doc ? null : parent);
+            parent.children.push(element);
+            if (!selfClosing) stack.push(element);
+            pos = START_TAG.lastIndex;
+        }
+    }
+
+    if (stack.length !== 1 || !doc.documentElement) {
+        throw new Error('Invalid XML format');
+    }
+
+    return doc;
+}
+
+/**
+ * Return the index just past the next occurrence of a terminator
+ * @param {string} xmlString - XML content
+ * @param {string} terminator - Sequence to look for
+ * @param {number} from - Start index
+ * @returns {number} Index after the terminator
+ */
+function skipPast(xmlString, terminator, from) {
+    const end = xmlString.indexOf(terminator, from);
+    if (end === -1) throw new Error('Invalid XML format');
+    return end + terminator.length;
+}
+
+/**
+ * Parse the attribute block of a start tag
+ * @param {string} block - Raw attribute text
+ * @returns {Map<string, string>} Attribute name to decoded value
+ */
+function parseAttributes(block) {
+    const attributes = new Map();
+    if (!block) return attributes;
+
+    for (const [, name, doubleQuoted, singleQuoted] of block.matchAll(ATTRIBUTE)) {
+        attributes.set(name, decodeEntities(doubleQuoted ?? singleQuoted));
+    }
+    return attributes;
+}
+
+/**
+ * Decode XML character references in a value
+ * @param {string} value - Raw value
+ * @returns {string} Decoded value
+ */
+function decodeEntities(value) {
+    if (!value.includes('&')) return value;
+
+    return value.replace(ENTITY, (_, entity) => {
+        if (entity[0] !== '#') return NAMED_ENTITIES.get(entity);
+        const codePoint = entity[1] === 'x'
+            ? parseInt(entity.slice(2), 16)
+            : parseInt(entity.slice(1), 10);
+        return String.fromCodePoint(codePoint);
+    });
+}
+
+/**
+ * All descendant elements in document order
+ * @param {XmlElement} root - Element to walk
+ * @returns {Array<XmlElement>} Descendants (root excluded)
+ */
+function descendants(root) {
+    const result = [];
+    const stack = [...root.children].reverse();
+
+    while (stack.length > 0) {
+        const el = stack.pop();
+        result.push(el);
+        for (let i = el.children.length - 1; i >= 0; i--) {
+            stack.push(el.children[i]);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Parse a selector made of tag names joined by descendant (space) or
+ * child (>) combinators, e.g. "schemas > schema" or "schema component"
+ * @param {string} selector - Selector string
+ * @returns {Array<Object>} Steps from left to right: { tagName, combinator }
+ */
+function parseSelector(selector) {
+    const tokens = selector.trim().replace(/\s*>\s*/g, ' > ').split(/\s+/);
+    const steps = [];
+    let combinator = ' ';
+
+    tokens.forEach(token => {
+        if (token === '>') {
+            combinator = '>';
+            return;
+        }
+        steps.push({ tagName: token, combinator });
+        combinator = ' ';
+    });
+
+    return steps;
+}
+
+/**
+ * Check whether an element matches selector steps (right to left)
+ * Like the DOM, ancestors outside the queried subtree may satisfy the
+ * left-hand part of the selector.
+ * @param {XmlElement} element - Candidate element
+ * @param {Array<Object>} steps - Steps from parseSelector
+ * @returns {boolean} Whether the element matches
+ */
+function matches(element, steps) {
+    return matchStep(element, steps, steps.length - 1);
+}
+
+/**
+ * Match one selector step and, recursively, the steps to its left
+ * @param {XmlElement} element - Element to test against steps[index]
+ * @param {Array<Object>} steps - Steps from parseSelector
+ * @param {number} index - Current step index
+ * @returns {boolean} Whether the element matches
+ */
+function matchStep(element, steps, index) {
+    const step = steps[index];
+    if (step.tagName !== '*' && element.tagName !== step.tagName) return false;
+    if (index === 0) return true;
+
+    let ancestor = element.parentElement;
+    if (step.combinator === '>') {
+        return ancestor !== null && matchStep(ancestor, steps, index - 1);
+    }
+
+    while (ancestor !== null) {
+        if (matchStep(ancestor, steps, index - 1)) return true;
+        ancestor = ancestor.parentElement;
+    }
+    return false;
+}
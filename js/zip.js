@@ -0,0 +1,111 @@
+/**
+ * ZIP Module
+ * Minimal ZIP archive writer (stored entries, no compression) for building
+ * .xlsx workbooks without external libraries
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * CRC-32 lookup table (IEEE 802.3 polynomial)
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 of a byte array
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Encode a date as MS-DOS time and date words
+ * @param {Date} date - Timestamp
+ * @returns {Object} { time, date }
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<Object>} files - [{ name, data }] where data is a string (UTF-8) or Uint8Array
+ * @param {Date} modified - Timestamp stored for every entry (defaults to now)
+ * @returns {Uint8Array} Archive bytes
+ */
+export function createZip(files, modified = new Date()) {
+    const { time, date } = toDosDateTime(modified);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);     // local file header signature
+        local.setUint16(4, 20, true);             // version needed to extract
+        local.setUint16(6, 0x0800, true);         // flags: UTF-8 names
+        local.setUint16(8, 0, true);              // method: stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);   // compressed size
+        local.setUint32(22, data.length, true);   // uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);             // extra field length
+        localParts.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);   // central directory signature
+        central.setUint16(4, 20, true);           // version made by
+        central.setUint16(6, 20, true);           // version needed to extract
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);      // local header offset
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);           // end of central directory signature
+    end.setUint16(8, files.length, true);         // entries on this disk
+    end.setUint16(10, files.length, true);        // total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);              // central directory offset
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const archive = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        archive.set(part, position);
+        position += part.length;
+    });
+
+    return archive;
+}
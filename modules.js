@@ -1,31 +1,69 @@
 /**
  * Modules Variable File
- * Maps product numbers (unit names) to their standard unit variant numbers
+ * Catalog of EmpirBus modules: product numbers (unit names), standard unit
+ * variant numbers and product specs
  *
  * This file serves as a lookup table for generating Bill of Materials (BOM)
  * and enriching unit data with product information.
  */
 
+import { getUnitType } from './js/unit-types.js';
+
 /**
  * Module definition
+ * Specs that aren't known yet are null.
  * @typedef {Object} Module
  * @property {string} productNumber - The product number (unit name)
  * @property {string} standardUnitVariantNumber - The standard unit variant number
  * @property {string} description - Optional description of the module
+ * @property {string[]} aliases - Other unit names the module appears under in EBP files
+ * @property {string|null} productName - Product name
+ * @property {string|null} unitTypeId - The module's unitTypeId; tells modules that
+ *   share a variant number apart
+ * @property {Object|null} channels - Channel count per channel type, e.g. { 'digital input': 8 }
+ * @property {number|null} maxOutputCurrent - Maximum current per output in A
+ * @property {string|null} connectors - Connector layout
+ * @property {string|null} firmware - Supported firmware versions
+ */
+
+/**
+ * Spec fields of a module entry that leaves them out
  */
+const MODULE_DEFAULTS = {
+    aliases: [],
+    productName: null,
+    unitTypeId: null,
+    channels: null,
+    maxOutputCurrent: null,
+    connectors: null,
+    firmware: null
+};
 
 /**
  * All available modules from EBP files
+ * Channels, max output current, connectors and firmware aren't known for any
+ * module yet; see js/README.md.
  * @type {Module[]}
  */
 export const MODULES = [
+    // From connect50_v-1+.ebp, connect50 v2_v-1+.ebp and DCM.ebp
+    {
+        productNumber: "010-02575-10",
+        standardUnitVariantNumber: "100257510",
+        description: "MCU v2",
+        aliases: ["010-02575-10_mcuv2", "MCU v2"],
+        productName: "MCU v2",
+        unitTypeId: "105"
+    },
+
     // From connect50_v-1+.ebp
-    { productNumber: "010-02575-10_mcuv2", standardUnitVariantNumber: "100257510", description: "MCU v2" },
-    { productNumber: "010-02223-11_mcu100", standardUnitVariantNumber: "2051011", description: "MCU 100" },
+    { productNumber: "010-02223-11_mcu100", standardUnitVariantNumber: "2051011", description: "MCU 100", productName: "MCU 100" },
     { productNumber: "010-02225-10", standardUnitVariantNumber: "2110110", description: "" },
     { productNumber: "010-02225-16", standardUnitVariantNumber: "2110115", description: "" },
     { productNumber: "010-02225-17", standardUnitVariantNumber: "2110116", description: "" },
     { productNumber: "010-02225-18", standardUnitVariantNumber: "2110117", description: "" },
+    // 010-02275-01 and -03 share variant number 0152; until their unitTypeIds are
+    // known, units with it are reported as ambiguous
     { productNumber: "010-02275-01", standardUnitVariantNumber: "0152", description: "" },
     { productNumber: "010-02275-02", standardUnitVariantNumber: "0151", description: "" },
     { productNumber: "010-02225-19", standardUnitVariantNumber: "2110118", description: "" },
@@ -37,8 +75,7 @@ export const MODULES = [
     { productNumber: "010-02279-03", standardUnitVariantNumber: "2210103", description: "" },
 
     // From connect50 v2_v-1+.ebp
-    { productNumber: "010-02575-10", standardUnitVariantNumber: "100257510", description: "MCU v2" },
-    { productNumber: "MFD / WDU", standardUnitVariantNumber: "88888888", description: "MFD / WDU" },
+    { productNumber: "MFD / WDU", standardUnitVariantNumber: "88888888", description: "MFD / WDU", productName: "MFD / WDU", unitTypeId: "200" },
     { productNumber: "010-02225-30", standardUnitVariantNumber: "100222530", description: "" },
     { productNumber: "010-02225-31", standardUnitVariantNumber: "100222531", description: "" },
     { productNumber: "010-02278-21", standardUnitVariantNumber: "100227821", description: "" },
@@ -46,7 +83,6 @@ export const MODULES = [
     { productNumber: "010-02279-21", standardUnitVariantNumber: "100227921", description: "" },
 
     // From DCM.ebp
-    { productNumber: "MCU v2", standardUnitVariantNumber: "100257510", description: "MCU v2" },
     { productNumber: "010-02219-01", standardUnitVariantNumber: "11", description: "" },
     { productNumber: "010-02219-02", standardUnitVariantNumber: "12", description: "" },
     { productNumber: "010-02219-03", standardUnitVariantNumber: "13", description: "" },
@@ -60,14 +96,14 @@ export const MODULES = [
     { productNumber: "010-02220-10", standardUnitVariantNumber: "20", description: "" },
     { productNumber: "010-02221-08", standardUnitVariantNumber: "28", description: "" },
     { productNumber: "010-02222-10", standardUnitVariantNumber: "30", description: "" }
-];
+].map(module => ({ ...MODULE_DEFAULTS, ...module }));
 
 /**
  * Create a lookup map for quick access by product number
  * @type {Map<string, Module>}
  */
 export const MODULE_MAP = new Map(
-    MODULES.map(module => [module.productNumber, module])
+    MODULES.flatMap(module => [module.productNumber, ...module.aliases].map(name => [name, module]))
 );
 
 /**
@@ -101,6 +137,137 @@ export function getModulesByVariantNumber(variantNumber) {
     return VARIANT_MAP.get(variantNumber) || [];
 }
 
+/**
+ * Find a module in a modules list by product number or alias
+ * @param {string} productNumber - The product number to look up
+ * @param {Module[]} modulesList - Module definitions (defaults to MODULES)
+ * @returns {Module|undefined} The module or undefined if not found
+ */
+export function findModuleByProductNumber(productNumber, modulesList = MODULES) {
+    return modulesList.find(module =>
+        module.productNumber === productNumber || (module.aliases ?? []).includes(productNumber));
+}
+
+/**
+ * Pick the modules for a unit among the modules sharing its variant number
+ * A module with the unit's unitTypeId wins over modules without one; modules
+ * of another unit type only match when they are the only candidates.
+ * @param {Object} unit - Unit with standardUnitVariantNumber and unitTypeId
+ * @param {Module[]} candidates - Modules with the unit's variant number
+ * @returns {Module[]} The matching modules: none, one, or several when the
+ *   catalog can't tell them apart
+ */
+function resolveModules(unit, candidates) {
+    if (candidates.length <= 1) return candidates;
+
+    const sameType = candidates.filter(module => module.unitTypeId === unit.unitTypeId);
+    const untyped = candidates.filter(module => !module.unitTypeId);
+    return sameType.length > 0 ? sameType : untyped.length > 0 ? untyped : candidates;
+}
+
+/**
+ * Enrich units with product information from a modules list
+ * Matches on standard unit variant number; modules that share a variant
+ * number are told apart by unitTypeId (see resolveModules). When that still
+ * leaves several, the product number lists them all, e.g. "010-02275-01 / 010-02275-03".
+ * @param {Array} units - Array of unit objects
+ * @param {Module[]} modulesList - Module definitions (defaults to MODULES)
+ * @returns {Array} Units with productNumber, moduleDescription and
+ *   productCandidates (the product numbers when ambiguous, else empty) added
+ */
+export function enrichUnitsWithModules(units, modulesList = MODULES) {
+    const modulesByVariant = new Map();
+    modulesList.forEach(module => {
+        const variant = module.standardUnitVariantNumber;
+        if (!modulesByVariant.has(variant)) modulesByVariant.set(variant, []);
+        modulesByVariant.get(variant).push(module);
+    });
+
+    return units.map(unit => {
+        const matches = resolveModules(unit, modulesByVariant.get(unit.standardUnitVariantNumber) ?? []);
+        const productCandidates = matches.length > 1 ? matches.map(module => module.productNumber) : [];
+
+        return {
+            ...unit,
+            productNumber: matches.length > 0 ? matches.map(module => module.productNumber).join(' / ') : 'Unknown',
+            moduleDescription: matches.length === 1 ? matches[0].description : '',
+            productCandidates
+        };
+    });
+}
+
+/**
+ * Describe the specs of a module as display strings
+ * Without catalog channel counts, the channels are counted from the project's
+ * unit, e.g. "20 (10 + 10)" for two groups of ten.
+ * @param {Module|undefined} module - Module definition
+ * @param {Object|null} bomItem - BOM entry from generateBOMFromUnits (optional)
+ * @returns {Object} { productName, channels, maxOutputCurrent, connectors, firmware },
+ *   empty strings for unknown specs
+ */
+export function describeModuleSpecs(module, bomItem = null) {
+    const groups = bomItem?.channelGroups ?? [];
+    const channelCount = groups.reduce((sum, count) => sum + count, 0);
+    let channels = '';
+    if (module?.channels) {
+        channels = Object.entries(module.channels).map(([type, count]) => `${count} × ${type}`).join(', ');
+    } else if (channelCount > 0) {
+        channels = groups.length > 1 ? `${channelCount} (${groups.join(' + ')})` : String(channelCount);
+    }
+
+    return {
+        productName: module?.productName ?? '',
+        channels,
+        maxOutputCurrent: module?.maxOutputCurrent != null ? `${module.maxOutputCurrent} A` : '',
+        connectors: module?.connectors ?? '',
+        firmware: module?.firmware ?? ''
+    };
+}
+
+/**
+ * Count the channels per group a unit type exposes
+ */
+function getChannelGroupSizes(unit) {
+    const { visibleGroups } = getUnitType(unit.unitTypeId);
+    const groups = unit.channels ?? [];
+    return (visibleGroups === null ? groups : groups.slice(0, visibleGroups)).map(group => group.channels.length);
+}
+
+/**
+ * Generate Bill of Materials from product-enriched units
+ * Aggregates on variant and product number, as shown in the Modules tab.
+ * @param {Array} units - Array of unit objects (can be enriched with productNumber)
+ * @returns {Array} BOM entries with product number, variant number, unit type,
+ *   channel count per group of the unit, the unit's productCandidates when its
+ *   module is ambiguous, and quantity
+ */
+export function generateBOMFromUnits(units) {
+    const bomMap = new Map();
+
+    units.forEach(unit => {
+        // Variant numbers can be shared, so the resolved product is part of the key
+        const key = `${unit.standardUnitVariantNumber || unit.name}|${unit.productNumber || 'Unknown'}`;
+
+        if (bomMap.has(key)) {
+            bomMap.get(key).quantity++;
+        } else {
+            bomMap.set(key, {
+                productNumber: unit.productNumber || 'Unknown',
+                variantNumber: unit.standardUnitVariantNumber || 'N/A',
+                unitName: unit.name,
+                unitTypeId: unit.unitTypeId || 'N/A',
+                channelGroups: getChannelGroupSizes(unit),
+                productCandidates: unit.productCandidates ?? [],
+                quantity: 1
+            });
+        }
+    });
+
+    return Array.from(bomMap.values()).sort((a, b) =>
+        (a.productNumber || 'Unknown').localeCompare(b.productNumber || 'Unknown')
+    );
+}
+
 /**
  * Generate a Bill of Materials from an array of units
  * @param {Array} units - Array of unit objects with name and standardUnitVariantNumber
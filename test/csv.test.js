@@ -0,0 +1,50 @@
+/**
+ * CSV writer and reader
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv, parseCsv } from '../js/csv.js';
+
+const columns = [{ key: 'name', label: 'Name' }, { key: 'value', label: 'Value' }];
+
+test('fields round-trip through quoting', () => {
+    const rows = [
+        { name: 'plain', value: 1 },
+        { name: 'comma, inside', value: 'say "hi"' },
+        { name: 'line\nbreak', value: '' }
+    ];
+
+    assert.deepEqual(parseCsv(toCsv(columns, rows)), [
+        ['Name', 'Value'],
+        ['plain', '1'],
+        ['comma, inside', 'say "hi"'],
+        ['line\nbreak', '']
+    ]);
+});
+
+test('null and undefined are written as empty fields', () => {
+    assert.equal(toCsv(columns, [{ name: null }]), 'Name,Value\r\n,\r\n');
+});
+
+test('text a spreadsheet would run as a formula gets an apostrophe', () => {
+    const csv = toCsv(columns, [
+        { name: '=1+1', value: '@SUM(A1)' },
+        { name: '+31 6', value: '- spare' },
+        { name: '-12.5', value: -3 }
+    ]);
+
+    assert.deepEqual(parseCsv(csv).slice(1), [
+        ["'=1+1", "'@SUM(A1)"],
+        ["'+31 6", "'- spare"],
+        ['-12.5', '-3']
+    ]);
+});
+
+test('semicolon files, LF endings, a BOM and blank lines are read', () => {
+    assert.deepEqual(parseCsv('\uFEFFName;Price\n010-02225-10;12,50\n\n"a;b";3\n'), [
+        ['Name', 'Price'],
+        ['010-02225-10', '12,50'],
+        ['a;b', '3']
+    ]);
+});
@@ -0,0 +1,60 @@
+/**
+ * Wire labels: templates, label stock checks and the page layout
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LABEL_STOCKS, formatLabel, getUnknownTemplateFields, validateLabelStock, layoutLabels } from '../js/labels.js';
+
+const stock = {
+    pageWidth: 100, pageHeight: 50, columns: 2, rows: 2, labelWidth: 40, labelHeight: 20,
+    marginTop: 5, marginLeft: 5, gapX: 10, gapY: 0
+};
+const labels = count => Array.from({ length: count }, (_, index) => ({ text: `1-${index + 1}` }));
+
+test('every built-in stock fits its page', () => {
+    LABEL_STOCKS.forEach((builtIn, id) => {
+        assert.deepEqual(validateLabelStock(builtIn), [], id);
+    });
+});
+
+test('stock sizes must be positive and whole where counted', () => {
+    const errors = validateLabelStock({ ...stock, labelWidth: 0, gapX: -1, columns: 1.5 });
+    assert.deepEqual(errors, [
+        'labelWidth must be a positive number',
+        'gapX must be zero or more',
+        'columns must be a whole number of at least 1'
+    ]);
+});
+
+test('labels that run off the page are reported', () => {
+    const errors = validateLabelStock({ ...stock, columns: 3, rows: 3 });
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /3 columns need 145\.0 mm but the page is 100 mm wide/);
+    assert.match(errors[1], /3 rows need 65\.0 mm but the page is 50 mm high/);
+});
+
+test('labels fill each page row by row', () => {
+    const pages = layoutLabels(labels(5), stock);
+
+    assert.equal(pages.length, 2);
+    assert.deepEqual(pages[0].map(({ text, x, y }) => [text, x, y]), [
+        ['1-1', 5, 5],
+        ['1-2', 55, 5],
+        ['1-3', 5, 25],
+        ['1-4', 55, 25]
+    ]);
+    assert.deepEqual(pages[1].map(({ text, x, y }) => [text, x, y]), [['1-5', 5, 5]]);
+});
+
+test('long texts are shrunk to fit the label', () => {
+    const [[short, long]] = layoutLabels([{ text: 'A' }, { text: 'A very long channel name for a label' }], stock);
+    assert.ok(long.fontSize < short.fontSize);
+    assert.ok(long.fontSize >= 1);
+});
+
+test('templates fill known fields and keep unknown ones visible', () => {
+    assert.equal(formatLabel('{unitId}-{channel} {name}', { unitId: 3, channel: 7, name: 'Bilge  pump' }), '3-7 Bilge pump');
+    assert.equal(formatLabel('{unitId}-{chanel}', { unitId: 3 }), '3-{chanel}');
+    assert.deepEqual(getUnknownTemplateFields('{unitId}-{chanel} {nam}'), ['chanel', 'nam']);
+});
@@ -0,0 +1,57 @@
+/**
+ * Memory analyzer: overlaps by location span, free blocks and the map rows
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeMemory, findFreeBlocks, buildMemoryMap, MEMORY_MAP_COLUMNS } from '../js/memory-analyzer.js';
+
+const allocation = (location, bits, tabName = 'Main') => ({ location, bits, type: `${bits} bit`, tabName });
+
+test('allocations next to each other do not conflict', () => {
+    const { conflicts } = analyzeMemory([allocation(0, 8), allocation(1, 16), allocation(3, 32)]);
+    assert.deepEqual(conflicts, []);
+});
+
+test('a wider allocation running into the next one is an overlap', () => {
+    const udword = allocation(10, 32);
+    const ubyte = allocation(12, 8);
+    const { conflicts, conflicting } = analyzeMemory([ubyte, udword]);
+
+    assert.equal(conflicts.length, 1);
+    assert.deepEqual(
+        { kind: conflicts[0].kind, first: conflicts[0].first, second: conflicts[0].second, start: conflicts[0].start, end: conflicts[0].end },
+        { kind: 'overlap', first: udword, second: ubyte, start: 12, end: 12 }
+    );
+    assert.deepEqual([...conflicting], [udword, ubyte]);
+});
+
+test('allocations starting at the same location conflict', () => {
+    const { conflicts } = analyzeMemory([allocation(5, 1), allocation(5, 16)]);
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].kind, 'same-location');
+    assert.equal(conflicts[0].end, 5);
+});
+
+test('allocations without a location are ignored', () => {
+    assert.deepEqual(analyzeMemory([allocation(null, 8), allocation(null, 8)]).conflicts, []);
+});
+
+test('free blocks are the first runs wide enough for each type', () => {
+    const blocks = findFreeBlocks([allocation(0, 8), allocation(1, 16), allocation(4, 8), allocation(6, 8)]);
+    assert.deepEqual(blocks.map(({ type, start, end }) => [type, start, end]), [
+        ['Bit', 3, 3],
+        ['UByte', 3, 3],
+        ['UWord', 7, 8],
+        ['UDWord', 7, 10]
+    ]);
+});
+
+test('the map only has the rows that are used', () => {
+    const far = allocation(1000000, 8);
+    const { rows } = buildMemoryMap([allocation(0, 16), far]);
+
+    assert.deepEqual(rows.map(row => row.start), [0, 1000000 - (1000000 % MEMORY_MAP_COLUMNS)]);
+    assert.equal(rows[0].cells[1].length, 1);
+    assert.deepEqual(rows[1].cells[1000000 % MEMORY_MAP_COLUMNS], [far]);
+});
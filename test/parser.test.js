@@ -0,0 +1,97 @@
+/**
+ * Parser: parseProject builds one linked model, linkProject links plain sections
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseProject, linkProject } from '../js/parser.js';
+
+// The parser reports what it finds on the console
+mock.method(console, 'log', () => {});
+
+const EBP = `<?xml version="1.0" encoding="utf-8"?>
+<project firmware="3.1" savedAtUtc="2026-01-02T10:00:00Z">
+  <units>
+    <unit id="1" serial="111" name="010-02225-10" unitTypeId="16" standardUnitVariantNumber="2110110">
+      <unitChannelGroups>
+        <unitChannelGroup channelGroupId="1">
+          <channels>
+            <channel number="1" name="Bilge pump" inMainChannelSettingId="1" inChannelSettingId="1" outMainChannelSettingId="48" outChannelSettingId="1"/>
+            <channel number="2" name="Bilge switch" inMainChannelSettingId="57" inChannelSettingId="2"/>
+            <channel number="3" name="Spare"/>
+          </channels>
+        </unitChannelGroup>
+      </unitChannelGroups>
+    </unit>
+  </units>
+  <schemas>
+    <schema id="10" name="Main" sortIndex="1">
+      <components>
+        <component id="c1" componentId="1281" componentRevision="1" channelId="256" direction="output">
+          <properties><property id="0" value="2"/><property id="1" value="0"/><property id="5" value="0"/></properties>
+        </component>
+        <component id="c2" componentId="1283" componentRevision="1" channelId="257" direction="input">
+          <properties><property id="0" value="1"/><property id="1" value="0"/><property id="2" value="0"/></properties>
+        </component>
+        <component id="c3" componentId="1292" componentRevision="2">
+          <properties><property id="4" value="5"/><property id="31" value="High bilge"/></properties>
+        </component>
+        <component id="c4" componentId="2304" componentRevision="1">
+          <properties><property id="0" value="2"/><property id="1" value="10"/></properties>
+        </component>
+      </components>
+    </schema>
+  </schemas>
+</project>`;
+
+test('parseProject reads every section of the project', async () => {
+    const project = await parseProject(EBP);
+
+    assert.equal(project.metadata.firmware, '3.1');
+    assert.equal(project.validation.isValid, true);
+    assert.deepEqual(project.units.map(unit => [unit.id, unit.name, unit.unitTypeId]), [[1, '010-02225-10', '16']]);
+    assert.deepEqual(project.schemas.map(schema => [schema.id, schema.name, schema.components.length]), [[10, 'Main', 4]]);
+    assert.deepEqual(project.alarms.map(alarm => [alarm.alarmId, alarm.alarmName]), [['5', 'High bilge']]);
+    assert.deepEqual(project.memory.map(mem => [mem.location, mem.bits]), [[10, 16]]);
+});
+
+test('channel directions come from the components bound to them', async () => {
+    const project = await parseProject(EBP);
+
+    assert.deepEqual(project.channels.map(channel => [channel.combiId, channel.name, channel.direction.name]), [
+        [256, 'Bilge pump', 'output'],
+        [257, 'Bilge switch', 'input'],
+        [258, 'Spare', '']
+    ]);
+});
+
+test('the lookup maps link units, channels, components and schemas', async () => {
+    const project = await parseProject(EBP);
+    const pump = project.channelsById.get(256);
+
+    assert.equal(project.unitsById.get(pump.unitId), project.units[0]);
+    assert.deepEqual(project.componentsByChannelId.get(256).map(component => component.instanceId), ['c1']);
+    assert.equal(project.schemasById.get(10), project.schemas[0]);
+});
+
+test('a document without units is rejected', async () => {
+    await assert.rejects(parseProject('<project><units/></project>'), /Invalid EBP file/);
+    await assert.rejects(parseProject('<project><units>'), /Invalid XML format/);
+});
+
+test('linkProject links plain sections, e.g. from a JSON export', () => {
+    const channel = { unitId: 2, combiId: 512, number: 1, name: 'Horn' };
+    const component = { instanceId: 'x', channelId: 512 };
+    const project = linkProject({
+        units: [{ id: 2, channels: [{ groupId: '1', channels: [channel] }] }],
+        schemas: [{ id: 7, name: 'Deck', components: [component] }],
+        components: [],
+        alarms: [],
+        memory: []
+    });
+
+    assert.deepEqual(project.channels, [channel]);
+    assert.equal(project.channelsById.get(512), channel);
+    assert.deepEqual(project.componentsByChannelId.get(512), [component]);
+    assert.equal(project.schemasById.get(7).name, 'Deck');
+});
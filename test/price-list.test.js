@@ -0,0 +1,62 @@
+/**
+ * Price list: reading prices with either decimal separator, costing the BOM
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePriceList, buildCostedBom } from '../js/price-list.js';
+import { enrichUnitsWithModules } from '../modules.js';
+
+const priceOf = (price, separator = ',') =>
+    parsePriceList(`Product Number${separator}Price\nA${separator}"${price}"`).items.get('A').price;
+
+test('prices are read with either decimal separator', () => {
+    assert.equal(priceOf('412.50'), 412.5);
+    assert.equal(priceOf('412,50', ';'), 412.5);
+    assert.equal(priceOf('1,234.50'), 1234.5);
+    assert.equal(priceOf('1.234,50', ';'), 1234.5);
+    assert.equal(priceOf('€ 24,95', ';'), 24.95);
+    assert.equal(priceOf('1234,567', ';'), 1234.567);
+});
+
+test('a lone separator followed by three digits is rejected as ambiguous', () => {
+    assert.throws(() => priceOf('1,234'), /row 2: price "1,234" is ambiguous/);
+    assert.throws(() => priceOf('1.234', ';'), /row 2: price "1.234" is ambiguous/);
+    assert.throws(() => parsePriceList(JSON.stringify({
+        format: 'ebp2docs-price-list',
+        version: 1,
+        items: { A: { price: '€ 2.500' } }
+    })), /item A: price "€ 2.500" is ambiguous/);
+});
+
+test('JSON numbers are taken as they are', () => {
+    const list = parsePriceList(JSON.stringify({ format: 'ebp2docs-price-list', version: 1, items: { A: 1.234 } }));
+    assert.equal(list.items.get('A').price, 1.234);
+});
+
+test('prices that are not numbers are rejected', () => {
+    assert.throws(() => priceOf('call us'), /row 2: price must be a number/);
+});
+
+test('a module line for an ambiguous variant stays unpriced', () => {
+    const units = enrichUnitsWithModules([
+        { id: 1, name: 'A', standardUnitVariantNumber: '0152', unitTypeId: '999', channels: [] },
+        { id: 2, name: 'B', standardUnitVariantNumber: '2110110', unitTypeId: '16', channels: [] }
+    ]);
+    const priceList = parsePriceList([
+        'Product Number,Price',
+        '010-02275-01,100.00',
+        '010-02275-03,120.00',
+        '"010-02275-01 / 010-02275-03",110.00',
+        '010-02225-10,412.50'
+    ].join('\n'));
+    const { lines, total, unpriced } = buildCostedBom(units, priceList);
+
+    assert.deepEqual(lines.map(line => [line.productNumber, line.unitPrice]), [
+        ['010-02225-10', 412.5],
+        ['010-02275-01 / 010-02275-03', null]
+    ]);
+    assert.equal(lines[1].description, 'Ambiguous: variant 0152 is 010-02275-01 or 010-02275-03, not priced');
+    assert.equal(total, 412.5);
+    assert.equal(unpriced, 1);
+});
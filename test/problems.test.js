@@ -0,0 +1,33 @@
+/**
+ * Problems: module findings follow the modules list they are given
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectProblems } from '../js/problems.js';
+import { linkProject } from '../js/parser.js';
+
+const project = linkProject({
+    validation: { isValid: true, errors: [], warnings: [] },
+    units: [{ id: 1, name: 'A', standardUnitVariantNumber: '0152', unitTypeId: '16', channels: [] }],
+    schemas: [],
+    components: [],
+    alarms: [],
+    memory: []
+});
+const moduleProblems = problems => problems.filter(problem => problem.category === 'Module');
+
+test('a variant shared by two catalog modules is reported', () => {
+    const [problem] = moduleProblems(collectProblems(project));
+    assert.equal(problem.message,
+        'Variant 0152 matches 010-02275-01 and 010-02275-03; the BOM shows one line for both and the costed BOM leaves it unpriced until their unitTypeIds are in modules.js');
+    assert.equal(problem.rowKey, 'unit:1');
+});
+
+test('the modules list passed in is the one checked', () => {
+    const modulesList = [
+        { productNumber: '010-02275-01', standardUnitVariantNumber: '0152', unitTypeId: '16' },
+        { productNumber: '010-02275-03', standardUnitVariantNumber: '0152', unitTypeId: '17' }
+    ];
+    assert.deepEqual(moduleProblems(collectProblems(project, modulesList)), []);
+});
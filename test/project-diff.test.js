@@ -0,0 +1,98 @@
+/**
+ * Project diff: units, channels, components, alarms and memory between revisions
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffProjects, orderBySavedAt } from '../js/project-diff.js';
+import { linkProject } from '../js/parser.js';
+import { Direction } from '../js/enums.js';
+
+const channel = (unitId, number, name, direction = Direction.NONE) => ({
+    unitId,
+    combiId: 256 * unitId + number - 1,
+    number,
+    name,
+    direction,
+    sInMainChannelSettingId: '',
+    sInChannelSettingId: '',
+    sOutMainChannelSettingId: '',
+    sOutChannelSettingId: ''
+});
+
+const unit = (id, name, channels) => ({
+    id,
+    name,
+    serial: '0',
+    unitTypeId: '1',
+    standardUnitVariantNumber: '11',
+    channels: [{ groupId: '1', channels }]
+});
+
+const project = ({ savedAtUtc = null, units = [], alarms = [], memory = [] }) => linkProject({
+    metadata: { savedAtUtc },
+    units,
+    schemas: [],
+    components: [],
+    alarms,
+    memory
+});
+
+test('identical projects have no changes', () => {
+    const make = () => project({ units: [unit(1, 'Helm', [channel(1, 1, 'Bilge pump')])] });
+    const { changes, counts } = diffProjects(make(), make());
+    assert.deepEqual(changes, []);
+    assert.deepEqual(counts, { added: 0, removed: 0, changed: 0 });
+});
+
+test('units are added and removed by ID, channels compared per field', () => {
+    const older = project({
+        units: [
+            unit(1, 'Helm', [channel(1, 1, 'Bilge pump'), channel(1, 2, 'Horn')]),
+            unit(2, 'Aft', [])
+        ]
+    });
+    const newer = project({
+        units: [
+            unit(1, 'Helm', [channel(1, 1, 'Bilge pump fwd', Direction.OUTPUT), channel(1, 2, 'Horn')]),
+            unit(3, 'Bow', [channel(3, 1, 'Anchor')])
+        ]
+    });
+
+    const { changes, counts } = diffProjects(older, newer);
+    assert.deepEqual(counts, { added: 1, removed: 1, changed: 1 });
+
+    const byKind = Object.fromEntries(changes.map(change => [change.kind, change]));
+    assert.equal(byKind.added.label, 'Unit 3 "Bow"');
+    assert.equal(byKind.removed.label, 'Unit 2 "Aft"');
+    assert.equal(byKind.removed.rowKey, null);
+    assert.equal(byKind.changed.rowKey, 'channel:256');
+    assert.deepEqual(byKind.changed.fields, [
+        { field: 'Name', before: 'Bilge pump', after: 'Bilge pump fwd' },
+        { field: 'Direction', before: '', after: 'output' }
+    ]);
+});
+
+test('alarms and memory are matched by schema and component instance', () => {
+    const alarm = alarmId => ({ schemaId: 1, schemaName: 'Main', componentInstanceId: 'a1', alarmId, alarmName: 'High bilge' });
+    const memory = location => ({ schemaId: 1, tabName: 'Main', componentInstanceId: 'm1', type: 'UByte (8 Bit)', location, bits: 8 });
+
+    const { changes } = diffProjects(
+        project({ alarms: [alarm('5')], memory: [memory(10)] }),
+        project({ alarms: [alarm('6')], memory: [memory(12)] })
+    );
+
+    assert.deepEqual(changes.map(change => [change.section, change.kind, change.fields]), [
+        ['alarms', 'changed', [{ field: 'Alarm ID', before: '5', after: '6' }]],
+        ['memory', 'changed', [{ field: 'Memory Location', before: '10', after: '12' }]]
+    ]);
+});
+
+test('revisions are ordered by save time when both have one', () => {
+    const first = { name: 'b.ebp', project: project({ savedAtUtc: '2024-05-02T10:00:00Z' }) };
+    const second = { name: 'a.ebp', project: project({ savedAtUtc: '2024-05-01T10:00:00Z' }) };
+    const unknown = { name: 'c.ebp', project: project({}) };
+
+    assert.deepEqual(orderBySavedAt(first, second), { older: second, newer: first, bySaveTime: true });
+    assert.deepEqual(orderBySavedAt(first, unknown), { older: first, newer: unknown, bySaveTime: false });
+});
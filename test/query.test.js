@@ -0,0 +1,92 @@
+/**
+ * Query language: parsing, field terms, operators and comparisons
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, matchesQuery, getUnknownQueryFields } from '../js/query.js';
+import { Direction } from '../js/enums.js';
+
+const unit = { id: 3, name: '010-02225-10', serial: '1234', unitTypeId: '16' };
+const channel = (number, name, direction, type = '') => ({
+    number,
+    name,
+    direction,
+    sInMainChannelSettingId: direction === Direction.INPUT ? type : '',
+    sOutMainChannelSettingId: direction === Direction.OUTPUT ? type : '',
+    sInChannelSettingId: '',
+    sOutChannelSettingId: ''
+});
+const pump = { unit, group: 1, channel: channel(1, 'Bilge pump', Direction.OUTPUT, 'digital output +') };
+const alarm = { unit, group: 1, channel: channel(2, 'Bilge alarm', Direction.INPUT, 'digital input') };
+const matches = (text, record) => matchesQuery(parseQuery(text), 'channel', record);
+
+test('an empty query parses to null and matches everything', () => {
+    assert.equal(parseQuery(''), null);
+    assert.equal(parseQuery('   '), null);
+    assert.equal(matchesQuery(null, 'channel', pump), true);
+});
+
+test('free text matches any field, case-insensitive', () => {
+    assert.equal(matches('BILGE', pump), true);
+    assert.equal(matches('1234', pump), true);
+    assert.equal(matches('anchor', pump), false);
+});
+
+test('field terms match their own field only', () => {
+    assert.equal(matches('dir:output', pump), true);
+    assert.equal(matches('dir:output', alarm), false);
+    assert.equal(matches('type:"digital output +"', pump), true);
+    assert.equal(matches('name:pump unit:3', pump), true);
+    assert.equal(matches('name:pump unit:4', pump), false);
+});
+
+test('channels used both ways match on their input and output settings', () => {
+    const both = {
+        unit,
+        group: 1,
+        channel: {
+            ...channel(3, 'Deck light', Direction.BOTH),
+            sInMainChannelSettingId: 'digital input',
+            sOutMainChannelSettingId: 'digital output +',
+            sInChannelSettingId: 'active high',
+            sOutChannelSettingId: 'dimmable'
+        }
+    };
+
+    assert.equal(matches('type:"digital input"', both), true);
+    assert.equal(matches('type:"digital output +"', both), true);
+    assert.equal(matches('subtype:dimmable', both), true);
+    assert.equal(matches('type:analog', both), false);
+    assert.equal(matches('type:"digital input"', pump), false);
+});
+
+test('numeric fields compare', () => {
+    assert.equal(matches('ch:>1', alarm), true);
+    assert.equal(matches('ch:>1', pump), false);
+    assert.equal(matches('ch:<=1', pump), true);
+});
+
+test('OR, NOT, - and parentheses combine terms', () => {
+    assert.equal(matches('name:anchor OR name:pump', pump), true);
+    assert.equal(matches('bilge NOT dir:input', pump), true);
+    assert.equal(matches('bilge -dir:input', alarm), false);
+    assert.equal(matches('unit:3 (ch:1 OR ch:2)', alarm), true);
+    assert.equal(matches('NOT (ch:1 OR ch:2)', alarm), false);
+});
+
+test('memory locations match every location an allocation covers', () => {
+    const udword = { tabName: 'Main', location: 10, type: 'UDWord (32 Bit)', bits: 32 };
+    assert.equal(matchesQuery(parseQuery('location:13'), 'memory', udword), true);
+    assert.equal(matchesQuery(parseQuery('location:14'), 'memory', udword), false);
+});
+
+test('syntax errors throw', () => {
+    assert.throws(() => parseQuery('name:"bilge'), /closing quote/);
+    assert.throws(() => parseQuery('(dir:input'), /closing parenthesis/);
+    assert.throws(() => parseQuery('bilge OR'), /ends too early/);
+});
+
+test('fields a record kind lacks are reported', () => {
+    assert.deepEqual(getUnknownQueryFields(parseQuery('pgn:127505 name:x'), 'channel'), ['pgn']);
+});
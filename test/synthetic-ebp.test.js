@@ -0,0 +1,34 @@
+/**
+ * Synthetic EBP: the benchmark input parses into the project it describes
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateSyntheticEbp } from '../bench/synthetic-ebp.js';
+import { parseProject } from '../js/parser.js';
+
+// The parser reports what it finds on the console
+mock.method(console, 'log', () => {});
+
+test('a small synthetic project parses with every channel bound', async () => {
+    const project = await parseProject(generateSyntheticEbp({
+        units: 3,
+        groupsPerUnit: 2,
+        channelsPerGroup: 4,
+        schemas: 2,
+        alarmsPerSchema: 2,
+        memoryPerSchema: 3
+    }));
+
+    assert.equal(project.validation.isValid, true);
+    assert.deepEqual(project.units.map(unit => unit.unitTypeId), ['105', '4', '4']);
+    assert.equal(project.channels.length, 3 * 2 * 4);
+    assert.equal(project.schemas.length, 2);
+    assert.equal(project.alarms.length, 4);
+    assert.deepEqual(project.memory.map(mem => mem.location), [0, 2, 4, 6, 8, 10]);
+
+    project.channels.forEach(channel => {
+        assert.equal(project.componentsByChannelId.get(channel.combiId).length, 1);
+        assert.equal(channel.direction.name, channel.number % 2 === 0 ? 'output' : 'input');
+    });
+});
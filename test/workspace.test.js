@@ -0,0 +1,42 @@
+/**
+ * Workspace: entries keyed by ID, labels for files with the same name
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorkspaceEntry, addToWorkspace, removeFromWorkspace, getEntryLabels, searchWorkspace } from '../js/workspace.js';
+import { linkProject } from '../js/parser.js';
+
+const project = () => linkProject({
+    metadata: { savedAtUtc: '2026-01-01T00:00:00Z' },
+    validation: { isValid: true, errors: [], warnings: [] },
+    units: [{ id: 1, name: 'Helm', standardUnitVariantNumber: '2110110', unitTypeId: '16', channels: [] }],
+    schemas: [],
+    components: [],
+    alarms: [],
+    memory: []
+});
+
+test('files with the same name stay open side by side', () => {
+    const first = createWorkspaceEntry('boat.ebp', project());
+    const second = createWorkspaceEntry('boat.ebp', project());
+    const other = createWorkspaceEntry('sister.ebp', project());
+    const workspace = addToWorkspace(addToWorkspace([first], [other]), [second]);
+
+    assert.deepEqual(workspace, [first, other, second]);
+    assert.deepEqual([...getEntryLabels(workspace).values()], ['boat.ebp', 'sister.ebp', 'boat.ebp (2)']);
+    assert.deepEqual([...getEntryLabels(removeFromWorkspace(workspace, first.id)).values()], ['sister.ebp', 'boat.ebp']);
+});
+
+test('adding an entry that is already open replaces it in place', () => {
+    const entry = createWorkspaceEntry('boat.ebp', project());
+    const other = createWorkspaceEntry('sister.ebp', project());
+    const updated = { ...entry, name: 'renamed.ebp' };
+
+    assert.deepEqual(addToWorkspace([entry, other], [updated]), [updated, other]);
+});
+
+test('search results carry the entry labels', () => {
+    const workspace = [createWorkspaceEntry('boat.ebp', project()), createWorkspaceEntry('boat.ebp', project())];
+    assert.deepEqual(searchWorkspace(workspace, 'helm').map(result => result.label), ['boat.ebp', 'boat.ebp (2)']);
+});
@@ -0,0 +1,74 @@
+/**
+ * XML parser: entities, skipped markup, malformed input and selectors
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseXml } from '../js/xml-parser.js';
+
+test('attribute values decode predefined and numeric entities', () => {
+    const doc = parseXml(`<unit name="A &amp; B &lt;1&gt; &quot;x&quot; &apos;y&apos;" code="&#65;&#x42;" raw='say "hi"'/>`);
+    const unit = doc.documentElement;
+
+    assert.equal(unit.getAttribute('name'), `A & B <1> "x" 'y'`);
+    assert.equal(unit.getAttribute('code'), 'AB');
+    assert.equal(unit.getAttribute('raw'), 'say "hi"');
+    assert.equal(unit.getAttribute('missing'), null);
+});
+
+test('comments, CDATA, declarations and processing instructions are skipped', () => {
+    const doc = parseXml(`<?xml version="1.0"?>
+<!DOCTYPE project>
+<project>
+  <!-- <unit id="0"/> is commented out -->
+  <note><![CDATA[<unit id="99"> is text, not markup]]></note>
+  <unit id="1"/>
+</project>`);
+
+    assert.equal(doc.documentElement.tagName, 'project');
+    assert.deepEqual(doc.getElementsByTagName('unit').map(unit => unit.getAttribute('id')), ['1']);
+    assert.deepEqual(doc.documentElement.children.map(el => el.tagName), ['note', 'unit']);
+});
+
+test('malformed documents are rejected', () => {
+    const malformed = [
+        '',
+        'no markup at all',
+        '<project>',
+        '<project></units>',
+        '<project><unit></project>',
+        '<project/><project/>',
+        '<project><!-- never closed </project>',
+        '<project><![CDATA[ never closed </project>',
+        '<project name="unterminated></project>',
+        '<project></project'
+    ];
+
+    malformed.forEach(xml => {
+        assert.throws(() => parseXml(xml), /Invalid XML format/, xml);
+    });
+});
+
+test('the root element has no parent, like the DOM', () => {
+    const doc = parseXml('<project><units/></project>');
+    assert.equal(doc.documentElement.parentElement, null);
+    assert.equal(doc.querySelector('units').parentElement, doc.documentElement);
+});
+
+test('child and descendant combinators select the right components', () => {
+    const doc = parseXml(`<project><schemas><schema id="1"><components>
+  <component id="a"/>
+  <component id="b"><components><component id="nested"/></components></component>
+</components></schema></schemas></project>`);
+    const ids = elements => elements.map(el => el.getAttribute('id'));
+
+    assert.deepEqual(ids(doc.querySelectorAll('components > component')), ['a', 'b', 'nested']);
+    assert.deepEqual(ids(doc.querySelectorAll('schema > components > component')), ['a', 'b']);
+    assert.deepEqual(ids(doc.querySelectorAll('component component')), ['nested']);
+    assert.deepEqual(ids(doc.querySelectorAll('schemas component')), ['a', 'b', 'nested']);
+    assert.equal(doc.querySelector('project > component'), null);
+
+    // Ancestors outside the queried subtree still satisfy the left-hand part
+    const schema = doc.querySelector('schema');
+    assert.deepEqual(ids(schema.querySelectorAll('schemas > schema > components > component')), ['a', 'b']);
+});